@@ -0,0 +1,328 @@
+/**
+ * Enemy AI - Idle, patrol and chase behaviour for enemy sprites
+ * Enemies look for the player with a line-of-sight raycast and find their way with
+ * A* over the level grid. Which cells and steps are walkable is decided by the game
+ * (Game.spriteCanEnter / Game.spriteCanStep): closed doors, ramp edges, level-1 walls.
+ */
+
+const AI_IDLE = 'idle';        // Standing at home, looking around
+const AI_PATROL = 'patrol';    // Walking the patrol waypoints in a loop
+const AI_CHASE = 'chase';      // Player in sight: follow them
+const AI_SEARCH = 'search';    // Lost sight: check the last place the player was seen
+
+const AI_SIGHT_RANGE = 10;       // Tiles
+const AI_FIELD_OF_VIEW = Math.PI * 2 / 3;
+const AI_HEARING_RANGE = 1.5;    // Tiles: noticed from any direction this close
+const AI_LOOK_INTERVAL = 0.2;    // Seconds between line-of-sight checks
+const AI_REPATH_INTERVAL = 0.5;  // Seconds between path updates while chasing
+const AI_GIVE_UP_TIME = 3;       // Seconds out of sight before a chase becomes a search
+const AI_PAUSE_TIME = 1;         // Seconds spent at each waypoint / looking around
+const AI_ATTACK_RANGE = 0.9;     // Tiles: close enough, stop moving
+const AI_WAYPOINT_REACH = 0.25;  // Tiles: this near a path cell's centre, head for the next one
+
+const NEIGHBOR_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * GridPathfinder - A* over a width x height grid with 8-way moves
+ * Diagonal moves never cut the corner of a blocked cell.
+ */
+class GridPathfinder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Cells from start to goal, excluding the start, or null if the goal can't be reached.
+     * canEnter(x, y) tells walkable cells, canStep(ax, ay, bx, by) walkable moves between them.
+     */
+    findPath(startX, startY, goalX, goalY, canEnter, canStep, maxNodes = 4096) {
+        const width = this.width;
+        const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < this.height;
+        if (!inside(goalX, goalY) || !canEnter(goalX, goalY)) return null;
+
+        const start = startX + startY * width;
+        const goal = goalX + goalY * width;
+        const cost = new Map([[start, 0]]);
+        const from = new Map();
+        const closed = new Set();
+        const heuristic = (x, y) => {
+            // Octile distance
+            const dx = Math.abs(x - goalX), dy = Math.abs(y - goalY);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const open = [];  // Binary heap of [priority, cell]
+        const push = (priority, cell) => {
+            open.push([priority, cell]);
+            let i = open.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (open[parent][0] <= open[i][0]) break;
+                [open[parent], open[i]] = [open[i], open[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = open[0];
+            const last = open.pop();
+            if (open.length > 0) {
+                open[0] = last;
+                let i = 0;
+                while (true) {
+                    const l = i * 2 + 1, r = l + 1;
+                    let smallest = i;
+                    if (l < open.length && open[l][0] < open[smallest][0]) smallest = l;
+                    if (r < open.length && open[r][0] < open[smallest][0]) smallest = r;
+                    if (smallest === i) break;
+                    [open[smallest], open[i]] = [open[i], open[smallest]];
+                    i = smallest;
+                }
+            }
+            return top[1];
+        };
+
+        push(heuristic(startX, startY), start);
+        while (open.length > 0 && closed.size < maxNodes) {
+            const cell = pop();
+            if (cell === goal) {
+                const path = [];
+                for (let c = goal; c !== start; c = from.get(c)) path.push({ x: c % width, y: Math.floor(c / width) });
+                return path.reverse();
+            }
+            if (closed.has(cell)) continue;
+            closed.add(cell);
+
+            const x = cell % width, y = Math.floor(cell / width);
+            for (const [dx, dy] of NEIGHBOR_STEPS) {
+                const nx = x + dx, ny = y + dy;
+                if (!inside(nx, ny)) continue;
+                const next = nx + ny * width;
+                if (closed.has(next) || !canEnter(nx, ny)) continue;
+                if (dx !== 0 && dy !== 0) {
+                    if (!canEnter(x + dx, y) || !canEnter(x, y + dy)) continue;
+                    if (!canStep(x, y, x + dx, y) || !canStep(x, y, x, y + dy)) continue;
+                }
+                if (!canStep(x, y, nx, ny)) continue;
+
+                const nextCost = cost.get(cell) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                if (nextCost >= (cost.get(next) ?? Infinity)) continue;
+                cost.set(next, nextCost);
+                from.set(next, cell);
+                push(nextCost + heuristic(nx, ny), next);
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * EnemyAI - The brain of one enemy sprite
+ * Moves the sprite (x, y, rot, speed) through the states above; its moveSpeed (units) and
+ * rotSpeed (radians) are per second.
+ */
+class EnemyAI {
+    constructor(sprite, tileSize, waypoints = []) {
+        this.sprite = sprite;
+        this.tileSize = tileSize;
+        this.homeX = Math.floor(sprite.x / tileSize);
+        this.homeY = Math.floor(sprite.y / tileSize);
+        this.waypoints = waypoints.map(([x, y]) => ({ x, y }));
+        this.waypoint = 0;
+        this.state = this.waypoints.length > 0 ? AI_PATROL : AI_IDLE;
+
+        this.path = null;        // Cells still to walk ({x, y}), null = none planned
+        this.pathGoal = null;
+        this.pause = 0;          // Seconds left standing still
+        this.lookTimer = 0;
+        this.repathTimer = 0;
+        this.lastSeenTime = 0;   // Seconds since the player was last seen
+        this.lastSeenX = 0;
+        this.lastSeenY = 0;
+        this.canSeePlayer = false;
+        this.attackTimer = 0;    // Seconds before it can hurt the player again (see Game.updateEnemies)
+    }
+
+    // Back to the home cell, forgetting the player (when the player respawns)
+    reset() {
+        this.sprite.x = (this.homeX + 0.5) * this.tileSize;
+        this.sprite.y = (this.homeY + 0.5) * this.tileSize;
+        this.sprite.speed = 0;
+        this.state = this.waypoints.length > 0 ? AI_PATROL : AI_IDLE;
+        this.waypoint = 0;
+        this.path = null;
+        this.pause = 0;
+        this.canSeePlayer = false;
+        this.lastSeenTime = 0;
+        this.attackTimer = 0;
+    }
+
+    update(dt, game) {
+        const sprite = this.sprite;
+        const ts = this.tileSize;
+
+        this.lookTimer -= dt;
+        if (this.attackTimer > 0) this.attackTimer -= dt;
+        if (this.lookTimer <= 0) {
+            this.lookTimer = AI_LOOK_INTERVAL;
+            this.canSeePlayer = this.seesPlayer(game);
+            if (this.canSeePlayer) {
+                this.lastSeenX = Math.floor(game.player.x / ts);
+                this.lastSeenY = Math.floor(game.player.y / ts);
+            }
+        }
+        if (this.canSeePlayer) {
+            this.lastSeenTime = 0;
+            if (this.state !== AI_CHASE) {
+                this.state = AI_CHASE;
+                this.repathTimer = 0;
+            }
+        } else {
+            this.lastSeenTime += dt;
+        }
+
+        switch (this.state) {
+            case AI_CHASE: {
+                if (this.lastSeenTime > AI_GIVE_UP_TIME) {
+                    this.state = AI_SEARCH;
+                    this.setGoal(game, this.lastSeenX, this.lastSeenY);
+                    break;
+                }
+                const dx = game.player.x - sprite.x, dy = game.player.y - sprite.y;
+                if (Math.hypot(dx, dy) < AI_ATTACK_RANGE * ts) {
+                    // In reach: face the player and hold position
+                    this.path = null;
+                    sprite.rot = Math.atan2(-dy, dx);
+                    sprite.speed = 0;
+                    break;
+                }
+                this.repathTimer -= dt;
+                if (this.repathTimer <= 0) {
+                    this.repathTimer = AI_REPATH_INTERVAL;
+                    this.setGoal(game, this.lastSeenX, this.lastSeenY);
+                }
+                this.followPath(dt, game);
+                break;
+            }
+            case AI_SEARCH:
+                if (this.followPath(dt, game)) {
+                    // Arrived (or can't get there): look around, then go back to work
+                    this.lookAround(dt);
+                    if (this.pause <= 0) this.pause = AI_PAUSE_TIME * 2;
+                    this.state = this.waypoints.length > 0 ? AI_PATROL : AI_IDLE;
+                    this.path = null;
+                }
+                break;
+            case AI_PATROL: {
+                if (this.pause > 0) {
+                    this.pause -= dt;
+                    this.lookAround(dt);
+                    break;
+                }
+                const target = this.waypoints[this.waypoint];
+                if (!this.path || this.pathGoal.x !== target.x || this.pathGoal.y !== target.y) {
+                    this.setGoal(game, target.x, target.y);
+                }
+                if (this.followPath(dt, game)) {
+                    this.waypoint = (this.waypoint + 1) % this.waypoints.length;
+                    this.pause = AI_PAUSE_TIME;
+                    this.path = null;
+                }
+                break;
+            }
+            default: {
+                // Idle: walk back home if chased away from it, then look around
+                if (this.pause > 0) {
+                    this.pause -= dt;
+                    this.lookAround(dt);
+                    break;
+                }
+                const cx = Math.floor(sprite.x / ts), cy = Math.floor(sprite.y / ts);
+                if (cx !== this.homeX || cy !== this.homeY) {
+                    if (!this.path) this.setGoal(game, this.homeX, this.homeY);
+                    if (this.followPath(dt, game)) this.path = null;
+                } else {
+                    this.lookAround(dt);
+                }
+            }
+        }
+    }
+
+    // Something gave the player away (e.g. they hit this enemy): chase from where they are
+    alert(x, y) {
+        this.lastSeenX = Math.floor(x / this.tileSize);
+        this.lastSeenY = Math.floor(y / this.tileSize);
+        this.lastSeenTime = 0;
+        this.state = AI_CHASE;
+        this.repathTimer = 0;
+    }
+
+    // Whether the player is in range, inside the field of view (or heard up close) and visible
+    seesPlayer(game) {
+        const sprite = this.sprite;
+        const dx = game.player.x - sprite.x, dy = game.player.y - sprite.y;
+        const distance = Math.hypot(dx, dy) / this.tileSize;
+        if (distance > AI_SIGHT_RANGE) return false;
+        if (distance > AI_HEARING_RANGE) {
+            let angle = Math.atan2(-dy, dx) - sprite.rot;
+            angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+            if (Math.abs(angle) > AI_FIELD_OF_VIEW / 2) return false;
+        }
+        return game.raycaster.hasLineOfSight(sprite.x, sprite.y, game.player.x, game.player.y);
+    }
+
+    lookAround(dt) {
+        this.sprite.rot += this.sprite.rotSpeed * dt;
+        this.sprite.speed = 0;
+    }
+
+    // Plan a path to a cell; without one the sprite waits where it is
+    setGoal(game, goalX, goalY) {
+        const sprite = this.sprite;
+        const ts = this.tileSize;
+        const cx = Math.floor(sprite.x / ts), cy = Math.floor(sprite.y / ts);
+        this.pathGoal = { x: goalX, y: goalY };
+        if (cx === goalX && cy === goalY) {
+            this.path = [];
+            return;
+        }
+        this.path = game.pathfinder.findPath(cx, cy, goalX, goalY,
+            (x, y) => game.spriteCanEnter(sprite, x, y),
+            (ax, ay, bx, by) => game.spriteCanStep(sprite, ax, ay, bx, by));
+        if (!this.path) this.path = [];
+    }
+
+    /**
+     * Walk toward the centre of the next path cell. Returns true once the path is done
+     * (or blocked: a door closed on it), so the caller picks what to do next.
+     */
+    followPath(dt, game) {
+        const sprite = this.sprite;
+        const ts = this.tileSize;
+        if (!this.path || this.path.length === 0) {
+            sprite.speed = 0;
+            return true;
+        }
+        const next = this.path[0];
+        const cx = Math.floor(sprite.x / ts), cy = Math.floor(sprite.y / ts);
+        if ((next.x !== cx || next.y !== cy) &&
+            (!game.spriteCanEnter(sprite, next.x, next.y) || !game.spriteCanStep(sprite, cx, cy, next.x, next.y))) {
+            this.path = [];
+            sprite.speed = 0;
+            return true;
+        }
+
+        const targetX = (next.x + 0.5) * ts, targetY = (next.y + 0.5) * ts;
+        const dx = targetX - sprite.x, dy = targetY - sprite.y;
+        const distance = Math.hypot(dx, dy);
+        const step = Math.min(sprite.moveSpeed * dt, distance);
+        sprite.speed = sprite.moveSpeed;
+        if (distance > 0) {
+            sprite.rot = Math.atan2(-dy, dx);
+            // Other bodies can push the sprite aside, so the centre only has to be reached roughly
+            game.moveSprite(sprite, dx / distance * step, dy / distance * step);
+        }
+        if (Math.hypot(targetX - sprite.x, targetY - sprite.y) < AI_WAYPOINT_REACH * ts) this.path.shift();
+        return false;
+    }
+}
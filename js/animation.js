@@ -0,0 +1,142 @@
+/**
+ * Animation - Sprite sheets with named animations seen from 8 directions
+ * A sheet is a grid of equal square frames: one column per frame, one row per view of
+ * each animation (animations in SPRITE_ANIMATIONS order, each with SPRITE_VIEWS rows).
+ * The views go from the front round to the back; the other side is drawn mirrored.
+ * Sprites keep their animation in their own fields (animation, animationTime, frame,
+ * frameRate) and face along rot, like the player.
+ *
+ * PLACEHOLDER ART: the game ships no drawn sheets yet. An image holding a single square
+ * frame (as the enemy images are now) is turned into a stand-in sheet by buildSpriteSheet,
+ * which poses the one picture (squeezed when turned, shaded from behind, bobbing, lunging,
+ * falling); there is no real walk cycle or back view. A drawn sheet in the layout above
+ * replaces it without code changes.
+ */
+
+// fps and frame count of each animation; looping ones repeat, the others hold their last frame
+const SPRITE_ANIMATIONS = {
+    idle: { frames: 2, fps: 2, loop: true },
+    walk: { frames: 4, fps: 6, loop: true },
+    attack: { frames: 3, fps: 8, loop: false },
+    die: { frames: 4, fps: 8, loop: false },
+};
+const SPRITE_DIRECTIONS = 8;
+const SPRITE_VIEWS = SPRITE_DIRECTIONS / 2 + 1;    // Front, three turned views, back
+
+// Poses buildSpriteSheet draws for each animation frame: width and height scale and lift
+// (share of the frame height), anchored at the bottom center
+const SPRITE_POSES = {
+    idle: [{ w: 1, h: 1, lift: 0 }, { w: 1.02, h: 0.98, lift: 0 }],
+    walk: [{ w: 1, h: 1, lift: 0 }, { w: 0.96, h: 1, lift: 0.03 }, { w: 1, h: 1, lift: 0 }, { w: 0.96, h: 1, lift: 0.03 }],
+    attack: [{ w: 1, h: 0.95, lift: 0 }, { w: 1, h: 1.05, lift: 0.02 }, { w: 1, h: 0.98, lift: 0 }],
+    die: [{ w: 1, h: 0.85, lift: 0 }, { w: 1, h: 0.6, lift: 0 }, { w: 1, h: 0.35, lift: 0 }, { w: 1, h: 0.15, lift: 0 }],
+};
+// Width of each view (turned sprites look narrower) and how dark it is (the back is in shade)
+const SPRITE_VIEW_WIDTHS = [1, 0.8, 0.55, 0.8, 1];
+const SPRITE_VIEW_SHADES = [1, 1, 0.85, 0.7, 0.55];
+
+/**
+ * Which view of a sprite at x, y facing rot a viewer at viewerX, viewerY sees:
+ * { view: 0 (front) to SPRITE_VIEWS - 1 (back), mirrored }
+ */
+function spriteView(rot, x, y, viewerX, viewerY) {
+    const step = TWO_PI / SPRITE_DIRECTIONS;
+    let angle = Math.atan2(-(viewerY - y), viewerX - x) - rot;
+    angle = ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+    const direction = Math.round(angle / step) % SPRITE_DIRECTIONS;
+    return direction < SPRITE_VIEWS ?
+        { view: direction, mirrored: false } :
+        { view: SPRITE_DIRECTIONS - direction, mirrored: true };
+}
+
+// Start an animation from its first frame (unless it is already playing and restart is false)
+function playSpriteAnimation(sprite, name, restart = false) {
+    if (sprite.animation === name && !restart) return;
+    sprite.animation = name;
+    sprite.animationTime = 0;
+    sprite.frame = 0;
+    sprite.frameRate = SPRITE_ANIMATIONS[name].fps;
+}
+
+function advanceSpriteAnimation(sprite, dt) {
+    const animation = SPRITE_ANIMATIONS[sprite.animation];
+    sprite.animationTime += dt;
+    const frame = Math.floor(sprite.animationTime * sprite.frameRate);
+    sprite.frame = animation.loop ? frame % animation.frames : Math.min(frame, animation.frames - 1);
+}
+
+// Whether a non-looping animation has shown its last frame for a full frame time
+function spriteAnimationDone(sprite) {
+    const animation = SPRITE_ANIMATIONS[sprite.animation];
+    return !animation.loop && sprite.animationTime * sprite.frameRate >= animation.frames;
+}
+
+/**
+ * SpriteSheet - Where each frame of a sheet image lies
+ */
+class SpriteSheet {
+    constructor(image, frameSize) {
+        this.image = image;
+        this.frameSize = frameSize;
+    }
+
+    /**
+     * An image that is a sheet already (wider or taller than square), or a single frame to
+     * build a placeholder sheet from. A sheet must be as many square frames across as the
+     * longest animation and SPRITE_VIEWS rows down per animation; anything else throws.
+     */
+    static fromImage(image) {
+        if (image.width === image.height) return new SpriteSheet(buildSpriteSheet(image), image.width);
+
+        const columns = Math.max(...Object.values(SPRITE_ANIMATIONS).map(a => a.frames));
+        const rows = Object.keys(SPRITE_ANIMATIONS).length * SPRITE_VIEWS;
+        const frameSize = image.width / columns;
+        if (!Number.isInteger(frameSize) || image.height !== rows * frameSize) {
+            throw new Error(`Sprite sheet is ${image.width}x${image.height}: expected ${columns} square frames ` +
+                `across and ${rows} down (${SPRITE_VIEWS} views of each animation), e.g. ${columns * 64}x${rows * 64}`);
+        }
+        return new SpriteSheet(image, frameSize);
+    }
+
+    // Top left corner of a frame in the sheet
+    frameAt(animation, frame, view) {
+        const row = Object.keys(SPRITE_ANIMATIONS).indexOf(animation) * SPRITE_VIEWS + view;
+        return { x: frame * this.frameSize, y: row * this.frameSize };
+    }
+}
+
+// Placeholder sheet canvas posing a single square frame image through every animation and view
+function buildSpriteSheet(image) {
+    const size = image.width;
+    const names = Object.keys(SPRITE_ANIMATIONS);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(...names.map(name => SPRITE_ANIMATIONS[name].frames)) * size;
+    canvas.height = names.length * SPRITE_VIEWS * size;
+    const ctx = canvas.getContext('2d');
+
+    names.forEach((name, a) => {
+        for (let view = 0; view < SPRITE_VIEWS; view++) {
+            const rowY = (a * SPRITE_VIEWS + view) * size;
+            SPRITE_POSES[name].forEach((pose, frame) => {
+                const w = Math.min(size, Math.round(size * pose.w * SPRITE_VIEW_WIDTHS[view]));
+                const h = Math.min(size, Math.round(size * pose.h));
+                const x = frame * size + Math.floor((size - w) / 2);
+                const y = rowY + size - h - Math.round(size * pose.lift);
+                ctx.drawImage(image, x, y, w, h);
+            });
+
+            // Shade the views from behind (transparent pixels stay transparent)
+            const shade = SPRITE_VIEW_SHADES[view];
+            if (shade < 1) {
+                const pixels = ctx.getImageData(0, rowY, canvas.width, size);
+                for (let i = 0; i < pixels.data.length; i += 4) {
+                    pixels.data[i] *= shade;
+                    pixels.data[i + 1] *= shade;
+                    pixels.data[i + 2] *= shade;
+                }
+                ctx.putImageData(pixels, 0, rowY);
+            }
+        }
+    });
+    return canvas;
+}
@@ -0,0 +1,116 @@
+/**
+ * DayNight - The game clock and the global lighting it sets
+ * The clock runs from 0 to 24 (hours) and wraps; a full day takes DAY_LENGTH seconds.
+ * lighting() describes the look of the current hour: the ambient tint that darkens
+ * every surface, the fog, and the day sky gradient blended over the night sky texture.
+ * A level can set its own fog, which replaces the clock's (see Level). Like SurvivalStats it only does arithmetic, e.g.
+ *   const { DayNightCycle } = require('./js/daynight.js');
+ *   const clock = new DayNightCycle(12);
+ *   clock.lighting().ambient;   // [256, 256, 256]
+ */
+
+const DAY_LENGTH = 600;         // Seconds per game day
+const DAY_START_HOUR = 21;      // Hour a new game starts at
+
+// Sunrise and sunset: daylight fades in over the first span and out over the second
+const SUNRISE_HOURS = [5, 7];
+const SUNSET_HOURS = [18, 20];
+
+// Lighting at noon, at midnight and the warm tint mixed in around sunrise and sunset.
+// ambient is a per-channel multiplier (256 = unchanged). Fog thickens from nothing at
+// fogStart to fogDensity at fogEnd (in tiles); density 1 hides everything beyond fogEnd.
+// Sky colors are the day gradient top and horizon.
+const LIGHTING_DAY = {
+    ambient: [256, 256, 256], fog: [165, 195, 225], fogStart: 4, fogEnd: 28, fogDensity: 0.6,
+    skyTop: [60, 120, 210], skyHorizon: [170, 205, 235]
+};
+const LIGHTING_NIGHT = {
+    ambient: [100, 110, 165], fog: [0, 0, 0], fogStart: 0, fogEnd: 8, fogDensity: 0.7,
+    skyTop: [10, 10, 26], skyHorizon: [10, 10, 26]
+};
+const LIGHTING_DUSK = {
+    ambient: [256, 205, 165], fog: [200, 130, 95], fogStart: 2, fogEnd: 16, fogDensity: 0.65,
+    skyTop: [70, 70, 140], skyHorizon: [240, 140, 80]
+};
+
+// 0 at a, 1 at b, eased in between
+function smoothStep(a, b, x) {
+    const t = Math.max(0, Math.min(1, (x - a) / (b - a)));
+    return t * t * (3 - 2 * t);
+}
+
+function mixColor(a, b, t) {
+    return [0, 1, 2].map(i => Math.round(a[i] + (b[i] - a[i]) * t));
+}
+
+class DayNightCycle {
+    constructor(hour = DAY_START_HOUR, dayLength = DAY_LENGTH) {
+        this.hour = hour;
+        this.dayLength = dayLength;
+    }
+
+    update(dt) {
+        this.hour = (this.hour + dt * 24 / this.dayLength) % 24;
+    }
+
+    // 1 in full daylight, 0 at night
+    get daylight() {
+        return smoothStep(SUNRISE_HOURS[0], SUNRISE_HOURS[1], this.hour) *
+            (1 - smoothStep(SUNSET_HOURS[0], SUNSET_HOURS[1], this.hour));
+    }
+
+    // 1 halfway through sunrise or sunset, 0 away from them
+    get dusk() {
+        const d = this.daylight;
+        return 4 * d * (1 - d);
+    }
+
+    isNight() {
+        return this.daylight < 0.5;
+    }
+
+    // Clock face, e.g. '06:30'
+    get timeText() {
+        const minutes = Math.floor(this.hour * 60);
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    // Lighting for the current hour, shaped like LIGHTING_DAY plus skyBlend
+    // (0 = night sky texture only, 1 = day gradient only). fog is a level's own fog
+    // { color, start, end, density } (any of them): those settings replace the clock's,
+    // with the color dimmed by the ambient light like a surface. A level start past the
+    // clock's end (or end before its start) moves the other one to keep the clock's fade length.
+    lighting(fog = null) {
+        const daylight = this.daylight;
+        const dusk = this.dusk;
+        const base = {};
+        for (const key in LIGHTING_DAY) {
+            const day = LIGHTING_DAY[key];
+            const night = LIGHTING_NIGHT[key];
+            base[key] = Array.isArray(day) ? mixColor(night, day, daylight) : night + (day - night) * daylight;
+        }
+        for (const key in LIGHTING_DUSK) {
+            const value = LIGHTING_DUSK[key];
+            base[key] = Array.isArray(value) ? mixColor(base[key], value, dusk) : base[key] + (value - base[key]) * dusk;
+        }
+        base.skyBlend = daylight;
+        if (fog) {
+            const fade = base.fogEnd - base.fogStart;
+            if (fog.color) base.fog = fog.color.map((c, i) => Math.round(c * base.ambient[i] / 256));
+            if (fog.start !== undefined) base.fogStart = fog.start;
+            if (fog.end !== undefined) base.fogEnd = fog.end;
+            if (fog.density !== undefined) base.fogDensity = fog.density;
+            if (base.fogEnd <= base.fogStart) {
+                if (fog.end === undefined) base.fogEnd = base.fogStart + fade;
+                else base.fogStart = Math.max(0, base.fogEnd - fade);
+            }
+        }
+        return base;
+    }
+}
+
+// Allow headless use under Node (see above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DAY_LENGTH, DAY_START_HOUR, LIGHTING_DAY, LIGHTING_NIGHT, LIGHTING_DUSK, DayNightCycle };
+}
@@ -0,0 +1,324 @@
+/**
+ * MapEditor - Tile map editor on the minimap canvas
+ * E toggles it: the minimap grows and any level layer can be painted with the mouse
+ * (left button paints the brush, right button clears). Changes go through Game.setCell,
+ * so the 3D view updates while painting. Ctrl+Z / Ctrl+Y undo and redo whole strokes,
+ * Export downloads the level as a JSON level file (see Level).
+ */
+
+const EDITOR_WIDTH = 768;
+const EDITOR_HEIGHT = 576;
+
+const SLOPE_DIR_NAMES = ['', 'west-east', 'east-west', 'north-south', 'south-north'];
+
+// Brush values and labels for each layer (values as in the g_* arrays in maps.js)
+const EDITOR_BRUSHES = {
+    walls: [[0, 'Empty'], [1, 'Wall 1'], [2, 'Wall 2'], [3, 'Wall 3'], [4, 'Wall 4'],
+        [1001, 'Door along y'], [1501, 'Door along x']],
+    walls2: [[0, 'Empty'], [1, 'Wall 1'], [2, 'Wall 2'], [3, 'Wall 3'], [4, 'Wall 4']],
+    slopes: [[0, 'None']],
+    walltops: [[0, 'Texture'], [-1, 'Purple'], [-2, 'Gray'], [-3, 'Brown'], [-4, 'Dark blue']],
+    floor: [[0, 'None'], [5, 'Floor 5'], [6, 'Floor 6'], [7, 'Floor 7'], [8, 'Floor 8']],
+    ceiling: [[0, 'Sky'], [1, 'Ceiling']],
+    sprites: [[0, 'None'], [1, 'Tree'], [2, 'Skeleton'], [3, 'Druid'],
+        ...Object.values(ITEM_TYPES).filter(item => item.sprite).map(item => [item.sprite, item.name]),
+        [FIRE_SPRITE.sprite, 'Campfire']],
+};
+for (let level = 0; level < 3; level++) {
+    for (let dir = SLOPE_DIR_WEST_EAST; dir <= SLOPE_DIR_SOUTH_NORTH; dir++) {
+        EDITOR_BRUSHES.slopes.push([level * 10 + dir,
+            `Ramp ${SLOPE_DIR_NAMES[dir]} ${level * SLOPE_TILE_SIZE}-${(level + 1) * SLOPE_TILE_SIZE}`]);
+    }
+}
+
+const EDITOR_WALL_COLORS = ['#111', '#8b5a2b', '#707070', '#8b2323', '#4a5a5a'];
+const EDITOR_SPRITE_COLORS = ['', '#2a2', '#ddd', '#a4d', '#fd0', '#fd0', '#fd0', '#fd0', '#fd0', '#f60'];
+
+class MapEditor {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.layer = 'walls';
+        this.brush = 1;
+        this.undoStack = [];   // Strokes: [{layer, x, y, before, after}, ...]
+        this.redoStack = [];
+        this.stroke = null;    // Stroke being painted
+        this.strokeValue = 0;
+        this.hoverX = -1;
+        this.hoverY = -1;
+
+        this.canvas = game.minimapCanvas;
+        this.minimapWidth = this.canvas.width;     // Size to restore when leaving the editor
+        this.minimapHeight = this.canvas.height;
+        this.toolbar = document.getElementById('editor');
+        this.layerSelect = document.getElementById('editor-layer');
+        this.brushSelect = document.getElementById('editor-brush');
+
+        for (const layer in EDITOR_BRUSHES) {
+            const option = document.createElement('option');
+            option.value = layer;
+            option.textContent = layer;
+            this.layerSelect.appendChild(option);
+        }
+        this.layerSelect.value = this.layer;
+        this.fillBrushes();
+
+        this.layerSelect.addEventListener('change', () => {
+            this.layer = this.layerSelect.value;
+            this.fillBrushes();
+        });
+        this.brushSelect.addEventListener('change', () => this.brush = Number(this.brushSelect.value));
+        document.getElementById('editor-undo').addEventListener('click', () => this.undo());
+        document.getElementById('editor-redo').addEventListener('click', () => this.redo());
+        document.getElementById('editor-export').addEventListener('click', () => this.exportLevel());
+
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.active) e.preventDefault();
+        });
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.active) return;
+            this.beginStroke(e.button === 2 ? 0 : this.brush);
+            this.paintAt(e.offsetX, e.offsetY);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.active) return;
+            const cell = this.cellAt(e.offsetX, e.offsetY);
+            this.hoverX = cell ? cell.x : -1;
+            this.hoverY = cell ? cell.y : -1;
+            if (this.stroke) this.paintAt(e.offsetX, e.offsetY);
+        });
+        document.addEventListener('mouseup', () => this.endStroke());
+        document.addEventListener('keydown', (e) => {
+            if (!this.active || !(e.ctrlKey || e.metaKey)) return;
+            if (e.code === 'KeyZ' && !e.shiftKey) this.undo();
+            else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) this.redo();
+            else return;
+            e.preventDefault();
+        });
+    }
+
+    fillBrushes() {
+        this.brushSelect.innerHTML = '';
+        for (const [value, label] of EDITOR_BRUSHES[this.layer]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value}: ${label}`;
+            this.brushSelect.appendChild(option);
+        }
+        // Start with the first non-empty brush
+        this.brush = EDITOR_BRUSHES[this.layer][1][0];
+        this.brushSelect.value = this.brush;
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.endStroke();
+        this.toolbar.style.display = this.active ? 'block' : 'none';
+        if (this.active) {
+            this.canvas.width = EDITOR_WIDTH;
+            this.canvas.height = EDITOR_HEIGHT;
+            this.canvas.style.display = 'block';
+        } else {
+            this.canvas.width = this.minimapWidth;
+            this.canvas.height = this.minimapHeight;
+            this.canvas.style.display = this.game.showMinimap ? 'block' : 'none';
+        }
+    }
+
+    // Forget undo history (the level changed)
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.stroke = null;
+    }
+
+    // Pixels per cell so the whole level fits the canvas
+    cellSize() {
+        const level = this.game.level;
+        return Math.min(this.canvas.width / level.width, this.canvas.height / level.height);
+    }
+
+    cellAt(px, py) {
+        const size = this.cellSize();
+        const x = Math.floor(px / size);
+        const y = Math.floor(py / size);
+        const level = this.game.level;
+        if (x < 0 || x >= level.width || y < 0 || y >= level.height) return null;
+        return { x, y };
+    }
+
+    beginStroke(value) {
+        this.stroke = [];
+        this.strokeValue = value;
+    }
+
+    paintAt(px, py) {
+        const cell = this.cellAt(px, py);
+        if (!cell) return;
+        const before = this.game.level.cellAt(this.layer, cell.x, cell.y);
+        if (before === this.strokeValue) return;
+        this.game.setCell(this.layer, cell.x, cell.y, this.strokeValue);
+        this.stroke.push({ layer: this.layer, x: cell.x, y: cell.y, before, after: this.strokeValue });
+    }
+
+    endStroke() {
+        if (this.stroke && this.stroke.length > 0) {
+            this.undoStack.push(this.stroke);
+            this.redoStack = [];
+        }
+        this.stroke = null;
+    }
+
+    undo() {
+        const stroke = this.undoStack.pop();
+        if (!stroke) return;
+        for (let i = stroke.length - 1; i >= 0; i--) {
+            const change = stroke[i];
+            this.game.setCell(change.layer, change.x, change.y, change.before);
+        }
+        this.redoStack.push(stroke);
+    }
+
+    redo() {
+        const stroke = this.redoStack.pop();
+        if (!stroke) return;
+        for (const change of stroke) this.game.setCell(change.layer, change.x, change.y, change.after);
+        this.undoStack.push(stroke);
+    }
+
+    /**
+     * Download the edited level as a JSON level file. A level that no longer
+     * validates (e.g. a trigger left on a removed door) is reported instead.
+     */
+    exportLevel() {
+        const level = this.game.level;
+        const def = level.toDefinition();
+        try {
+            Level.validate(def);
+        } catch (e) {
+            this.game.showMessage(e.message, 5);
+            return;
+        }
+        const blob = new Blob([Level.stringify(def)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        // Some browsers start the download after click() returns: keep the blob until then
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Cell color for the active layer (null = leave the walls view showing)
+    cellColor(layer, value) {
+        if (value === 0) return null;
+        switch (layer) {
+            case 'walls':
+            case 'walls2':
+                return Raycaster.isDoor(value) ? '#864' : EDITOR_WALL_COLORS[value] ?? '#555';
+            case 'slopes':
+                return `hsl(${40 + Math.floor(value / 10) * 60}, 60%, 45%)`;
+            case 'walltops': {
+                const rgb = this.game.wallTopSolidColors[-value - 1];
+                return rgb ? `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})` : '#c9a';
+            }
+            case 'floor':
+                return `hsl(${value * 45}, 35%, 35%)`;
+            case 'ceiling':
+                return '#446';
+            default:
+                return null;
+        }
+    }
+
+    draw() {
+        const ctx = this.game.minimapCtx;
+        const level = this.game.level;
+        const size = this.cellSize();
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Walls always show (dimmed under other layers), then the active layer on top
+        ctx.globalAlpha = this.layer === 'walls' ? 1 : 0.35;
+        for (let y = 0; y < level.height; y++) {
+            for (let x = 0; x < level.width; x++) {
+                const color = this.cellColor('walls', level.layers.walls[y][x]);
+                if (!color) continue;
+                ctx.fillStyle = color;
+                ctx.fillRect(x * size, y * size, size, size);
+            }
+        }
+        // Free-form geometry is not editable here, but shows where it stands
+        const scale = size / this.game.TILE_SIZE;
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (const tw of this.game.raycaster.thinWalls) {
+            ctx.moveTo(tw.x1 * scale, tw.y1 * scale);
+            ctx.lineTo(tw.x2 * scale, tw.y2 * scale);
+        }
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        if (this.layer !== 'walls') {
+            const rows = level.layers[this.layer];
+            for (let y = 0; y < level.height; y++) {
+                for (let x = 0; x < level.width; x++) {
+                    const value = rows[y][x];
+                    if (this.layer === 'sprites') {
+                        if (!value) continue;
+                        ctx.fillStyle = EDITOR_SPRITE_COLORS[value] ?? '#0f0';
+                        ctx.beginPath();
+                        ctx.arc((x + 0.5) * size, (y + 0.5) * size, size / 3, 0, TWO_PI);
+                        ctx.fill();
+                        continue;
+                    }
+                    const color = this.cellColor(this.layer, value);
+                    if (!color) continue;
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x * size + 1, y * size + 1, size - 2, size - 2);
+                }
+            }
+        }
+
+        // Grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 0; x <= level.width; x++) {
+            ctx.moveTo(x * size, 0);
+            ctx.lineTo(x * size, level.height * size);
+        }
+        for (let y = 0; y <= level.height; y++) {
+            ctx.moveTo(0, y * size);
+            ctx.lineTo(level.width * size, y * size);
+        }
+        ctx.stroke();
+
+        // Player
+        const px = this.game.player.x * scale;
+        const py = this.game.player.y * scale;
+        ctx.fillStyle = '#f00';
+        ctx.beginPath();
+        ctx.arc(px, py, 4, 0, TWO_PI);
+        ctx.fill();
+        ctx.strokeStyle = '#ff0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(px + Math.cos(this.game.player.rot) * 12, py - Math.sin(this.game.player.rot) * 12);
+        ctx.stroke();
+
+        // Hovered cell and its value
+        if (this.hoverX >= 0) {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(this.hoverX * size, this.hoverY * size, size, size);
+            ctx.fillStyle = '#fff';
+            ctx.font = '12px monospace';
+            const value = level.cellAt(this.layer, this.hoverX, this.hoverY);
+            ctx.fillText(`${this.layer} ${this.hoverX},${this.hoverY}: ${value}`, 6, this.canvas.height - 6);
+        }
+    }
+}
@@ -5,11 +5,30 @@
 
 const ASSETS_PATH = 'assets/';
 
+// Framebuffer pixels are packed little-endian: 0xAABBGGRR
+function packRGB(r, g, b) {
+    return (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// Light a packed pixel: each channel is scaled by mul (0-256) and the fog color add is added.
+// Lights are filled in by Game.setLight, which keeps mul + add within range.
+function lightColor(color, light) {
+    const r = (((color & 0xff) * light.mulR) >>> 8) + light.addR;
+    const g = ((((color >>> 8) & 0xff) * light.mulG) >>> 8) + light.addG;
+    const b = ((((color >>> 16) & 0xff) * light.mulB) >>> 8) + light.addB;
+    return (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// Light that leaves colors unchanged
+function neutralLight() {
+    return { mulR: 256, mulG: 256, mulB: 256, addR: 0, addG: 0, addB: 0, neutral: true };
+}
+
 class Game {
     constructor() {
         this.displayWidth = 1024;
         this.displayHeight = 768;
-        this.stripWidth = 2;
+        this.stripWidth = 1;
 
         this.TILE_SIZE = 64;
         this.TEXTURE_SIZE = 128;  // Actual texture size in atlas (256x512 = 4 textures of 256x128)
@@ -21,21 +40,116 @@ class Game {
 
         this.player = {
             x: 0, y: 0, z: 0, rot: 0,
-            moveSpeed: 4,
-            rotSpeed: 0.05,
+            // Speeds are per second: units, radians, units for the jump and gravity's units per second squared
+            moveSpeed: 240,
+            rotSpeed: 3,
             // Jump physics
             velocityZ: 0,
             groundZ: 0,
-            jumpStrength: 12,
-            gravity: 0.5
+            jumpStrength: 720,
+            gravity: 1800,
+            inventory: new Inventory(),     // Items picked up (see inventory.js)
+            survival: new SurvivalStats(),  // Hunger, thirst and warmth (see survival.js)
+            // Health and stamina (sprinting with Shift and jumping use stamina)
+            health: 100,
+            maxHealth: 100,
+            stamina: 100,
+            maxStamina: 100,
+            staminaDelay: 0,    // Seconds before stamina starts coming back
+            hurtTimer: 0,       // Seconds left of the HUD hurt flash
+            dead: false,
+            checkpoint: { x: 0, y: 0, rot: 0 },  // Respawn point (level spawn or last checkpoint)
+            // Weapons (see weapons.js), switched with the number keys
+            weapons: [new Weapon('sword'), new Weapon('crossbow')],
+            weapon: 0,
+            bob: 0,             // Walk cycle phase for the weapon sway
+            lantern: false      // Carried light (L), see lighting.js
         };
+        this.player.inventory.add('bolts', 10);
+        // Player volume: camera height plus head room, and the highest ledge walked up without jumping
+        this.PLAYER_HEIGHT = this.TILE_SIZE / 2 + 8;
+        this.STEP_HEIGHT = this.TILE_SIZE / 4;
+        // Seconds of game time per update() call: the simulation runs at this fixed rate whatever
+        // the display's frame rate (see tick); a frame catches up on at most MAX_FRAME_TIME seconds
+        this.UPDATE_DT = 1 / 60;
+        this.MAX_FRAME_TIME = 0.25;
+        this.accumulator = 0;       // Seconds of game time not simulated yet
+        this.lastFrameTime = null;  // Timestamp of the previous frame (ms)
+        // Player position before the last update, blended with the current one when drawing
+        this.previous = { x: 0, y: 0, z: 0, rot: 0 };
+        this.PITCH_SPEED = 600;     // Keyboard look up/down, pixels per second
+        // Time of day and the global lighting it sets (see daynight.js); refreshed every frame
+        this.dayNight = new DayNightCycle();
+        this.lighting = this.dayNight.lighting();
+        this.viewLimit = Infinity;  // Draw distance, cut short by opaque fog (see draw)
+        this.surfaceLight = neutralLight();    // Scratch light for the drawing passes
+        // Ambient and fog light by distance, LIGHT_BAND_SIZE units per band, rebuilt every
+        // frame (see buildLightBands): LIGHT_BAND_STRIDE integers per band
+        this.LIGHT_BAND_SIZE = 4;
+        this.LIGHT_BAND_STRIDE = 8;
+        this.lightBands = new Int32Array(0);
+        this.lightBandCount = 0;
+        // How close a dropped item gets to a door panel
+        this.DOOR_CLEARANCE = 8;
+        // Collision: bodies are circles that slide along what stops them (see moveBody). The
+        // player's radius, and each sprite type's radius and whether it stops other bodies
+        // (items, and types not listed, are walked through)
+        this.PLAYER_RADIUS = 16;
+        this.SPRITE_COLLISION = {
+            barrel: { radius: 20, solid: true },
+            enemy1: { radius: 14, solid: true },
+            enemy2: { radius: 14, solid: true },
+            fire: { radius: 12, solid: false },
+        };
+        // Damage: enemies hurt on contact at most once per ENEMY_HIT_INTERVAL seconds each,
+        // landings faster than FALL_DAMAGE_SPEED (units per second) cost FALL_DAMAGE per unit of speed above it
+        this.ENEMY_DAMAGE = 10;
+        this.ENEMY_HIT_INTERVAL = 1;
+        this.ENEMY_REACH = this.TILE_SIZE;
+        this.FALL_DAMAGE_SPEED = 840;
+        this.FALL_DAMAGE = 0.1;
+        // Stamina: sprint speed factor and cost per second, jump cost, refill per second
+        this.SPRINT_FACTOR = 1.6;
+        this.SPRINT_STAMINA = 25;
+        this.JUMP_STAMINA = 10;
+        this.STAMINA_REGEN = 15;
+        this.STAMINA_REGEN_DELAY = 1;
+        // Hit points of each sprite type (see initSprites)
+        this.SPRITE_HEALTH = { barrel: 60, enemy1: 30, enemy2: 40 };
+        // Items are picked up within PICKUP_RADIUS, or in front within USE_REACH with the use key
+        this.PICKUP_RADIUS = this.TILE_SIZE / 2;
+        this.USE_REACH = this.TILE_SIZE * 1.5;
+        // Campfires warm the player this close
+        this.FIRE_RADIUS = this.TILE_SIZE * 2;
+        // Sound effects (see sound.js): a footstep every STEP_LENGTH walked, a landing
+        // sound from LAND_SOUND_SPEED, nothing heard from further than SOUND_RANGE
+        this.STEP_LENGTH = this.TILE_SIZE * 0.9;
+        this.LAND_SOUND_SPEED = 240;
+        this.SOUND_RANGE = this.TILE_SIZE * 16;
+        this.sound = new SoundManager(this.SOUND_RANGE);
+        this.stepDistance = 0;
 
         this.pitch = 0;
-        this.keys = {};
+        // Actions bound to keys and the gamepad (see input.js), saved in the browser
+        this.input = new InputMap(typeof localStorage !== 'undefined' ? localStorage : null);
         this.showMinimap = true;
-        this.doors = {};
+        this.level = null;  // Current Level (see level.js)
+        this.levelLoading = false;
+        this.textureSet = null;  // Sky and textures the loaded images came from
+        this.doors = {};  // Door objects keyed by cell offset, shared with the raycaster
+        // Triggers from g_map_triggers keyed by cell offset
+        this.switches = {};
+        this.plates = {};
+        this.pickups = {};
+        this.exits = {};
+        this.checkpoints = {};
+        this.exitCell = -1;     // Exit cell the player is standing on (fires once on entry)
+        this.messageTimer = 0;  // Seconds left before the on-screen message clears
         this.sprites = [];
         this.raycaster = null;
+        this.pathfinder = null;  // GridPathfinder over the level, used by the enemy AI
+        this.editor = null;  // MapEditor, created with the input handlers
+        this.inventoryOverlay = null;  // InventoryOverlay, created with the input handlers
 
         this.canvas = null;
         this.ctx = null;
@@ -47,17 +161,58 @@ class Game {
         this.ceilingImage = null;
         this.skyImage = null;
         this.spriteImages = {};
+        this.spriteSheets = {};     // Animated sprite types: type -> SpriteSheet
         this.gatesImage = null;
 
+        // Decoded texture pixels for the framebuffer renderer: {data: Int32Array, width, height}
+        this.wallTex = null;
+        this.wallTexDark = null;
+        this.gatesTex = null;
+        this.skyTex = null;
+        this.spriteTextures = {};
+
+        // Framebuffer: every pass writes packed pixels here a column at a time (pixel x, y at
+        // x * displayHeight + y). That is the frame on its side, displayHeight wide, so it goes
+        // into frameCanvas with one putImageData and is drawn onto the screen transposed.
+        this.frameCanvas = null;
+        this.frameCtx = null;
+        this.frameImageData = null;
+        this.frameBuffer = null;  // Uint32Array view over frameImageData
+
         this.zBuffer = new Float32Array(this.displayWidth);
+        // Per-column screen rows coverTop..coverBottom - 1 are covered by walls standing on the
+        // ground, so the background is not drawn there (the walls are drawn over it)
+        this.coverTop = new Int32Array(this.displayWidth);
+        this.coverBottom = new Int32Array(this.displayWidth);
+        // Per-pixel corrected distance of walls, wall tops, slopes and doors (sprite clipping),
+        // laid out like frameBuffer
+        this.depthBuffer = new Float32Array(this.displayWidth * this.displayHeight);
+        // Per-row tables of the scanline passes: distance to the plane the row shows (0 for
+        // none) and its light band, and the background's sky texture row (-1 for a solid
+        // rowColor) with the day sky color added over it (rowSkyAdd, r g b)
+        this.rowDist = new Float64Array(this.displayHeight);
+        this.rowBand = new Int32Array(this.displayHeight);
+        this.rowSky = new Int32Array(this.displayHeight);
+        this.rowSkyAdd = new Int32Array(this.displayHeight * 3);
+        this.rowColor = new Uint32Array(this.displayHeight);
+        // Per-strip ray direction divided by the fish-eye cosine (floor casting, wall tops)
+        this.rayDirX = new Float32Array(this.numRays);
+        this.rayDirY = new Float32Array(this.numRays);
+        // Textured columns queued by drawTexturedColumn: COLUMN_STRIDE values each, plus the texture
+        this.COLUMN_STRIDE = 18;
+        this.columnValues = new Float64Array(this.COLUMN_STRIDE * 4096);
+        this.columnTextures = [];
+        this.columnCount = 0;
+        // Cells showing a wall top this frame, by cell offset (see the wall top pass in draw)
+        this.wallTopCells = new Uint8Array(0);
+        // Sky texture column of each screen column (it scrolls with the player's turning)
+        this.skyColumns = new Int32Array(this.displayWidth);
         this.texturesLoaded = false;
 
         this.DEBUG_MODE = false;  // Set to true to enable debug logging
         this.RENDER_WALL_TOPS = true;  // Set to false to disable wall top rendering
 
-        // Wall top rendering buffers (reused each frame for performance)
-        this.wallTopCanvas = null;
-        this.wallTopCtx = null;
+        // Wall top texture (Int32Array pixels, see cacheCeilingTextureData)
         this.ceilingTexData = null;
         this.ceilingTexWidth = 0;
         this.ceilingTexHeight = 0;
@@ -74,10 +229,26 @@ class Game {
         // For now, texture ID 0 and 1+ all use ceilingTexData
         this.wallTopTextures = [];  // Future: array of {data, width, height} for texture IDs 1+
 
+        // Floor/ceiling casting (used by g_floormap and g_ceilingmap)
+        // Texture sources indexed by map value; 'walls' entries pick a tile from the wall atlas
+        this.RENDER_FLOOR = true;
+        this.floorTextureSources = {
+            5: { image: 'walls', tile: 0 },
+            6: { image: 'floor' },
+            7: { image: 'walls', tile: 1 },
+            8: { image: 'walls', tile: 3 },
+        };
+        this.ceilingTextureSources = {
+            1: { image: 'ceiling' },
+        };
+        this.floorTextures = {};     // map value -> {data, width, height}
+        this.ceilingTextures = {};   // map value -> {data, width, height}
+        this.floorCells = [];        // Texture of each floor / ceiling cell by offset, or null (see cacheCellTextures)
+        this.ceilingCells = [];
+
         // Slope rendering
         this.RENDER_SLOPES = true;
-        this.slopeCanvas = null;
-        this.slopeCtx = null;
+        this.SLOPE_WALL_TYPE = 2;  // Wall atlas tile for ramp side faces (same numbering as g_map)
 
         this.fps = 0;
         this.frameCount = 0;
@@ -144,22 +315,81 @@ class Game {
         const tex = this.ceilingImage;
         if (!tex) return;
 
+        const { data, width, height } = this.getTextureData(tex);
+        this.ceilingTexData = data;  // Int32Array of packed pixels
+        this.ceilingTexWidth = width;
+        this.ceilingTexHeight = height;
+
+        console.log(`Ceiling texture cached: ${width}x${height}`);
+    }
+
+    // Read pixel data for a region of an image (whole image by default)
+    // Pixels are packed in framebuffer order (see packRGB) into an Int32Array: signed, a texel
+    // read stays a small integer to V8, where an unsigned one above 2^30 is boxed every read
+    getTextureData(tex, sx = 0, sy = 0, sw = 0, sh = 0) {
         // Handle both Image and Canvas elements
-        const width = tex.width || tex.naturalWidth;
-        const height = tex.height || tex.naturalHeight;
+        const width = sw || tex.width || tex.naturalWidth;
+        const height = sh || tex.height || tex.naturalHeight;
 
         const canvas = document.createElement('canvas');
         canvas.width = width;
         canvas.height = height;
         const ctx = canvas.getContext('2d');
-        ctx.drawImage(tex, 0, 0);
+        ctx.drawImage(tex, sx, sy, width, height, 0, 0, width, height);
 
         const imageData = ctx.getImageData(0, 0, width, height);
-        this.ceilingTexData = imageData.data;  // Uint8ClampedArray [R,G,B,A,R,G,B,A,...]
-        this.ceilingTexWidth = width;
-        this.ceilingTexHeight = height;
+        return { data: new Int32Array(imageData.data.buffer), width, height };
+    }
 
-        console.log(`Ceiling texture cached: ${width}x${height}`);
+    // Cache wall, door, sky and sprite pixel data for the framebuffer renderer
+    cacheTextureData() {
+        this.wallTex = this.getTextureData(this.wallsImage);
+        this.wallTexDark = this.getTextureData(this.wallsImageDark);
+        this.gatesTex = this.getTextureData(this.gatesImage);
+        // The sky is read down its columns (see drawBackground), so it is kept a column at a
+        // time: texel x, y at x * height + y
+        const sky = this.getTextureData(this.skyImage);
+        const skyData = new Int32Array(sky.data.length);
+        for (let y = 0; y < sky.height; y++) {
+            for (let x = 0; x < sky.width; x++) skyData[x * sky.height + y] = sky.data[y * sky.width + x];
+        }
+        this.skyTex = { data: skyData, width: sky.width, height: sky.height };
+
+        this.spriteTextures = {};
+        for (const type in this.spriteImages) {
+            this.spriteTextures[type] = this.getTextureData(this.spriteImages[type]);
+        }
+
+        this.cacheCeilingTextureData();
+        this.cacheFloorTextureData();
+    }
+
+    // Cache floor and ceiling texture data for fast per-pixel floor casting
+    cacheFloorTextureData() {
+        const images = { walls: this.wallsImage, floor: this.floorImage, ceiling: this.ceilingImage };
+
+        const decode = (sources) => {
+            const textures = {};
+            for (const id in sources) {
+                const src = sources[id];
+                const img = images[src.image];
+                if (!img) continue;
+                if (src.tile !== undefined) {
+                    // Wall atlas tiles are stacked vertically (4 tiles)
+                    const tileH = Math.floor(img.height / 4);
+                    const tileW = Math.min(img.width, tileH);
+                    textures[id] = this.getTextureData(img, 0, src.tile * tileH, tileW, tileH);
+                } else {
+                    textures[id] = this.getTextureData(img);
+                }
+            }
+            return textures;
+        };
+
+        this.floorTextures = decode(this.floorTextureSources);
+        this.ceilingTextures = decode(this.ceilingTextureSources);
+
+        console.log(`Floor textures cached: ${Object.keys(this.floorTextures).length}, ceiling textures: ${Object.keys(this.ceilingTextures).length}`);
     }
 
     // Create seamless sky by adding horizontally flipped version
@@ -183,22 +413,25 @@ class Game {
         return canvas;
     }
 
-    async loadTextures() {
+    // Load a level's texture set (see Level): wall atlases, floor, ceiling, sky and doors
+    async loadTextures(level) {
+        const textures = level.textures;
+        this.textureSet = JSON.stringify([level.sky, textures]);
         try {
             console.log('Loading textures...');
 
             // Load wall textures (texture atlas - vertical 64x256)
-            this.wallsImage = await this.loadImage(ASSETS_PATH + 'walls4.bmp');
-            this.wallsImageDark = await this.loadImage(ASSETS_PATH + 'walls4dark.bmp');
+            this.wallsImage = await this.loadImage(ASSETS_PATH + textures.walls);
+            this.wallsImageDark = await this.loadImage(ASSETS_PATH + textures.wallsDark);
             console.log(`Wall atlas (light): ${this.wallsImage.width}x${this.wallsImage.height}`);
             console.log(`Wall atlas (dark): ${this.wallsImageDark.width}x${this.wallsImageDark.height}`);
 
             // Load floor/ceiling
-            this.floorImage = await this.loadImage(ASSETS_PATH + 'mossycobble.bmp');
-            this.ceilingImage = await this.loadImage(ASSETS_PATH + 'default_brick.bmp');
+            this.floorImage = await this.loadImage(ASSETS_PATH + textures.floor);
+            this.ceilingImage = await this.loadImage(ASSETS_PATH + textures.ceiling);
 
             // Load sky (use night sky image with horizontal flip for seamless wrapping)
-            const skyImg = await this.loadImage(ASSETS_PATH + 'night_sky_2.png');
+            const skyImg = await this.loadImage(ASSETS_PATH + level.sky);
             this.skyImage = this.createSeamlessSky(skyImg);
 
             // Load sprites and remove magenta background
@@ -210,13 +443,15 @@ class Game {
 
             spriteImg = await this.loadImage(ASSETS_PATH + 'druid.bmp');
             this.spriteImages.enemy2 = this.makeTransparent(spriteImg);
+            this.createSpriteSheets(['enemy1', 'enemy2']);
+            this.createItemImages();
 
             // Load door and remove magenta background
-            const gatesImg = await this.loadImage(ASSETS_PATH + 'gates.bmp');
+            const gatesImg = await this.loadImage(ASSETS_PATH + textures.gates);
             this.gatesImage = this.makeTransparent(gatesImg);
 
-            // Cache ceiling texture pixel data for wall top rendering
-            this.cacheCeilingTextureData();
+            // Decode texture pixels once for the framebuffer renderer
+            this.cacheTextureData();
 
             console.log('All textures loaded!');
             this.texturesLoaded = true;
@@ -224,7 +459,7 @@ class Game {
             console.error('Failed to load textures:', e);
             // Create fallback textures
             this.createFallbackTextures();
-            this.cacheCeilingTextureData();
+            this.cacheTextureData();
             this.texturesLoaded = true;
         }
     }
@@ -246,9 +481,38 @@ class Game {
         this.ceilingImage = createColorTexture('#3a3a3a');
         this.skyImage = createColorTexture('#001144', 256);
         this.spriteImages.barrel = createColorTexture('#8B4513');
+        this.createItemImages();
         this.gatesImage = createColorTexture('#654321');
     }
 
+    // Animated, directional sprites: the type's image becomes its sheet (see SpriteSheet)
+    createSpriteSheets(types) {
+        for (const type of types) {
+            this.spriteSheets[type] = SpriteSheet.fromImage(this.spriteImages[type]);
+            this.spriteImages[type] = this.spriteSheets[type].image;
+        }
+    }
+
+    // Item and campfire sprites from the pixel art in ITEM_TYPES and FIRE_SPRITE
+    createItemImages() {
+        const sources = { ...ITEM_TYPES, fire: FIRE_SPRITE };
+        for (const type in sources) {
+            const { palette, pixels } = sources[type];
+            const c = document.createElement('canvas');
+            c.width = pixels[0].length;
+            c.height = pixels.length;
+            const ctx = c.getContext('2d');
+            pixels.forEach((row, y) => {
+                for (let x = 0; x < row.length; x++) {
+                    if (row[x] === '.') continue;
+                    ctx.fillStyle = palette[row[x]];
+                    ctx.fillRect(x, y, 1, 1);
+                }
+            });
+            this.spriteImages[type] = c;
+        }
+    }
+
     createWallAtlas(dark = false) {
         // Create a 64x256 texture atlas (4 wall types stacked vertically)
         const c = document.createElement('canvas');
@@ -283,75 +547,558 @@ class Game {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
         this.ctx.imageSmoothingEnabled = false;
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = this.displayHeight;
+        this.frameCanvas.height = this.displayWidth;
+        this.frameCtx = this.frameCanvas.getContext('2d');
+        this.frameImageData = this.frameCtx.createImageData(this.displayHeight, this.displayWidth);
+        this.frameBuffer = new Uint32Array(this.frameImageData.data.buffer);
 
         this.minimapCanvas = document.getElementById('minimap');
         this.minimapCtx = this.minimapCanvas.getContext('2d');
 
+        // Start on the level named in the page URL (?level=levels/courtyard.json) or the built-in one
+        const params = new URLSearchParams(window.location?.search ?? '');
+        let level;
+        try {
+            level = await this.fetchLevel(params.get('level') || 'default');
+        } catch (e) {
+            console.error(e);
+            level = new Level(g_level_default);
+            this.showMessage(e.message, 5);
+        }
+
         // Load textures first
-        await this.loadTextures();
+        await this.loadTextures(level);
+        this.setLevel(level);
+        this.setupInput();
+    }
 
-        // Initialize raycaster
-        this.raycaster = new Raycaster(MAP_WIDTH, MAP_HEIGHT, this.TILE_SIZE);
-        this.raycaster.createGrids(MAP_WIDTH, MAP_HEIGHT, 2, this.TILE_SIZE);
-        this.raycaster.grids[0] = flattenMap(g_map);
-        this.raycaster.grids[1] = flattenMap(g_map2);
+    // 'default' is the built-in level from maps.js, anything else a JSON level URL
+    async fetchLevel(source) {
+        return source === 'default' ? new Level(g_level_default) : Level.load(source);
+    }
 
+    /**
+     * Switch levels at runtime. A level that fails to load or validate leaves the
+     * current one running and shows the error.
+     */
+    async loadLevel(source) {
+        if (this.levelLoading) return;
+        this.levelLoading = true;
+        try {
+            const level = await this.fetchLevel(source);
+            if (JSON.stringify([level.sky, level.textures]) !== this.textureSet) {
+                await this.loadTextures(level);
+            }
+            this.setLevel(level);
+            this.showMessage(level.name);
+        } catch (e) {
+            console.error(e);
+            this.showMessage(e.message, 5);
+        } finally {
+            this.levelLoading = false;
+        }
+    }
+
+    // Rebuild the raycaster grids, doors, triggers and sprites for a level and spawn the player
+    setLevel(level) {
+        this.level = level;
+        if (this.editor) this.editor.clearHistory();
+
+        this.raycaster = new Raycaster(level.width, level.height, this.TILE_SIZE);
+        this.raycaster.createGrids(level.width, level.height, 2, this.TILE_SIZE);
+        this.raycaster.grids[0] = flattenMap(level.layers.walls);
+        this.raycaster.grids[1] = flattenMap(level.layers.walls2);
+        this.raycaster.slopes = flattenMap(level.layers.slopes);
+        this.initDoors();
+        this.initTriggers();
+        this.raycaster.setDoors(this.doors);
+        this.raycaster.cellHeights = level.cellHeights;
+        this.raycaster.loadGeometry(level.geometry);
+        this.pathfinder = new GridPathfinder(level.width, level.height);
+        this.lightMap = new LightMap(level.width, level.height, this.TILE_SIZE,
+            (x1, y1, x2, y2) => this.raycaster.hasLineOfSight(x1, y1, x2, y2));
+        this.bakeLights();
+        this.cacheCellTextures();
+        this.wallTopCells = new Uint8Array(level.width * level.height);
+
+        this.sprites = [];
         this.initSprites();
-        this.setupInput();
 
-        this.player.x = 2.5 * this.TILE_SIZE;
-        this.player.y = 2.5 * this.TILE_SIZE;
-        this.player.rot = 0;
+        this.player.inventory.clearKeys();
+        Object.assign(this.player, {
+            x: level.spawn.x * this.TILE_SIZE,
+            y: level.spawn.y * this.TILE_SIZE,
+            z: 0, velocityZ: 0, groundZ: 0,
+            rot: level.spawn.rot,
+            checkpoint: { x: level.spawn.x * this.TILE_SIZE, y: level.spawn.y * this.TILE_SIZE, rot: level.spawn.rot }
+        });
+    }
+
+    initDoors() {
+        this.doors = {};
+        for (let y = 0; y < this.level.height; y++) {
+            for (let x = 0; x < this.level.width; x++) {
+                const wall = this.level.layers.walls[y][x];
+                if (Raycaster.isDoor(wall)) this.doors[x + y * this.level.width] = this.createDoor(x, y, wall);
+            }
+        }
+    }
+
+    // Door for a door cell, with the options of its g_map_doors entry and the lock of its lock trigger if any
+    createDoor(x, y, wall) {
+        const door = new Door(x, y, wall, this.TILE_SIZE);
+        const entry = this.level.doors.find(d => d.x === x && d.y === y);
+        if (entry) {
+            if (entry.mode !== undefined) door.mode = entry.mode;
+            if (entry.duration !== undefined) door.duration = entry.duration;
+            if (entry.autoCloseDelay !== undefined) door.autoCloseDelay = entry.autoCloseDelay;
+            door.updatePanel();
+        }
+        const lock = this.level.triggers.find(t => t.type === 'lock' && t.x === x && t.y === y);
+        if (lock) {
+            door.locked = true;
+            door.lockKey = lock.key ?? null;
+        }
+        return door;
+    }
+
+    /**
+     * Change one cell of a level layer (see Level) and update everything built from it,
+     * so edits show up in the 3D view right away
+     */
+    setCell(layer, x, y, value) {
+        const level = this.level;
+        level.layers[layer][y][x] = value;
+        const key = x + y * level.width;
+
+        if (layer === 'walls') {
+            this.raycaster.grids[0][key] = value;
+            delete this.doors[key];
+            if (Raycaster.isDoor(value)) this.doors[key] = this.createDoor(x, y, value);
+            this.raycaster.setDoors(this.doors);
+            this.bakeLights();
+        } else if (layer === 'walls2') {
+            this.raycaster.grids[1][key] = value;
+        } else if (layer === 'slopes') {
+            this.raycaster.slopes[key] = value;
+        } else if (layer === 'sprites') {
+            // Only the sprite placed from this cell; the rest keep where they are and what happened to them
+            this.sprites = this.sprites.filter(s => s.cell !== key);
+            const s = this.createCellSprite(x, y);
+            if (s) this.sprites.push(s);
+        } else if (layer === 'floor' || layer === 'ceiling') {
+            this.cacheCellTextures();
+        }
+        // walltops are read from the level every frame
+    }
+
+    // Texture of every floor and ceiling cell (by cell offset, null for none) for drawBackground
+    cacheCellTextures() {
+        const { layers } = this.level;
+        this.floorCells = layers.floor.flat().map(value => this.floorTextures[value] || null);
+        this.ceilingCells = layers.ceiling.flat().map(value => this.ceilingTextures[value] || null);
+    }
+
+    // Play a sound from world x, y, muffled when a wall or closed door is in the way.
+    // The line of sight stops a little over half a tile short, so a door isn't in its own way.
+    playSoundAt(name, x, y, volume = 1) {
+        if (!this.sound.enabled) return;
+        const dist = Math.hypot(x - this.player.x, y - this.player.y);
+        const reach = Math.max(0, dist - this.TILE_SIZE * 0.6) / Math.max(dist, 1);
+        const muffled = !this.raycaster.hasLineOfSight(this.player.x, this.player.y,
+            this.player.x + (x - this.player.x) * reach, this.player.y + (y - this.player.y) * reach);
+        this.sound.play(name, { x, y, volume, muffled });
+    }
+
+    // Bake the level's steady lights (g_map_lights) into the light map; flickering ones
+    // are kept to be added every frame with the campfires and the lantern (updateLights).
+    // Light is blocked by the walls and doors as they are now.
+    bakeLights() {
+        const TS = this.TILE_SIZE;
+        const lights = this.level.lights.map(def => LightMap.light({ ...def, x: (def.x + 0.5) * TS, y: (def.y + 0.5) * TS }));
+        this.lightMap.bake(lights.filter(light => !(light.flicker > 0)));
+        this.flickeringLights = lights.filter(light => light.flicker > 0);
+    }
+
+    // Light map for this frame: baked lights plus the flickering and moving ones
+    updateLights() {
+        const lightMap = this.lightMap;
+        lightMap.begin();
+        for (const light of this.flickeringLights) lightMap.add(light, light.x, light.y);
+        for (const s of this.sprites) {
+            if (s.type === 'fire' && !s.hidden && !s.cleanup) lightMap.add(FIRE_LIGHT, s.x, s.y);
+        }
+        if (this.player.lantern && !this.player.dead) lightMap.add(LANTERN_LIGHT, this.player.x, this.player.y);
+        lightMap.finish();
+    }
+
+    initTriggers() {
+        this.switches = {};
+        this.plates = {};
+        this.pickups = {};
+        this.exits = {};
+        this.checkpoints = {};
+        this.exitCell = -1;
+        for (const trigger of this.level.triggers) {
+            const key = trigger.x + trigger.y * this.level.width;
+            if (trigger.type === 'lock') {
+                // Set on the door by createDoor
+                if (!this.doors[key]) throw new Error(`Lock at ${trigger.x},${trigger.y} is not on a door`);
+            } else if (trigger.type === 'key') {
+                // Lies in the level as a key item sprite until picked up (see initSprites)
+                this.pickups[key] = trigger;
+            } else if (trigger.type === 'switch') {
+                this.switches[key] = { ...trigger, on: false };
+            } else if (trigger.type === 'plate') {
+                this.plates[key] = { ...trigger, pressed: false };
+            } else if (trigger.type === 'exit') {
+                this.exits[key] = trigger;
+            } else if (trigger.type === 'checkpoint') {
+                this.checkpoints[key] = trigger;
+            } else {
+                throw new Error(`Unknown trigger type "${trigger.type}"`);
+            }
+        }
+    }
+
+    // Door objects for a trigger's [[x, y], ...] targets
+    triggerTargets(trigger) {
+        return (trigger.targets || []).map(([x, y]) => this.doors[x + y * this.level.width]).filter(Boolean);
+    }
+
+    // Pressure plates, checkpoints and level exits under the player and sprites
+    updateTriggers() {
+        const cx = Math.floor(this.player.x / this.TILE_SIZE);
+        const cy = Math.floor(this.player.y / this.TILE_SIZE);
+        const onGround = this.player.z <= this.player.groundZ + 1;
+
+        const cell = cx + cy * this.level.width;
+        const exit = this.exits[cell];
+        if (exit && cell !== this.exitCell) this.loadLevel(exit.level);
+        this.exitCell = exit ? cell : -1;
+
+        const checkpoint = this.checkpoints[cell];
+        const saved = this.player.checkpoint;
+        if (checkpoint && Math.floor(saved.x / this.TILE_SIZE) + Math.floor(saved.y / this.TILE_SIZE) * this.level.width !== cell) {
+            this.player.checkpoint = {
+                x: (checkpoint.x + 0.5) * this.TILE_SIZE,
+                y: (checkpoint.y + 0.5) * this.TILE_SIZE,
+                rot: this.player.rot
+            };
+            this.showMessage('Checkpoint');
+        }
+
+        for (const key in this.plates) {
+            const plate = this.plates[key];
+            const pressed = (plate.x === cx && plate.y === cy && onGround) ||
+                Raycaster.findSpritesInCell(this.sprites, plate.x, plate.y, this.TILE_SIZE)
+                    .some(s => !s.hidden && s.level === 0);
+            // Held open while pressed, then the doors close on their own timers
+            if (pressed) this.triggerTargets(plate).forEach(door => door.open());
+            plate.pressed = pressed;
+        }
+    }
+
+    showMessage(text, seconds = 2) {
+        document.getElementById('message').textContent = text;
+        this.messageTimer = seconds;
+    }
+
+    // Animate doors; one held open by the player or a sprite in its way doesn't close.
+    // The lights are baked again when a door leaves or reaches fully closed or fully open,
+    // since what light can reach through it changes (the light map caches what each cell sees).
+    updateDoors(dt) {
+        const bodies = [this.player, ...this.sprites.filter(s => !s.hidden && s.level === 0)];
+        let rebake = false;
+        for (const key in this.doors) {
+            const door = this.doors[key];
+            const before = door.openness;
+            door.update(dt, bodies.some(b => door.occupies(b.x, b.y)));
+            if ((before === 0) !== door.isClosed() || (before === 1) !== door.isOpen()) rebake = true;
+            let sound = null;
+            if (before === 0 && door.openness > 0) sound = 'doorOpen';
+            else if (before === 1 && door.openness < 1) sound = 'doorClose';
+            else if (before > 0 && door.openness === 0) sound = 'doorSlam';
+            if (sound) this.playSoundAt(sound, (door.cellX + 0.5) * this.TILE_SIZE, (door.cellY + 0.5) * this.TILE_SIZE);
+        }
+        if (rebake) this.bakeLights();
     }
 
     initSprites() {
+        for (let y = 0; y < this.level.height; y++) {
+            for (let x = 0; x < this.level.width; x++) {
+                const s = this.createCellSprite(x, y);
+                if (s) this.sprites.push(s);
+            }
+        }
+        // Keys not picked up yet
+        for (const key in this.pickups) {
+            const pickup = this.pickups[key];
+            const s = this.createItemSprite(keyItemID(pickup.key), 1, (pickup.x + 0.5) * this.TILE_SIZE, (pickup.y + 0.5) * this.TILE_SIZE);
+            s.pickup = key;
+            this.sprites.push(s);
+        }
+    }
+
+    // Sprite for a cell of the sprites layer (null for none), remembering the cell in s.cell
+    createCellSprite(x, y) {
         const spriteTypes = ['barrel', 'enemy1', 'enemy2'];
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const type = g_spritemap[y][x];
-                if (type > 0) {
-                    const s = new Sprite();
-                    s.x = (x + 0.5) * this.TILE_SIZE;
-                    s.y = (y + 0.5) * this.TILE_SIZE;
-                    s.type = spriteTypes[(type - 1) % spriteTypes.length];
-                    s.w = this.TILE_SIZE;
-                    s.h = this.TILE_SIZE;
-                    this.sprites.push(s);
-                }
+        const type = this.level.layers.sprites[y][x];
+        const itemType = itemTypeForSprite(type);
+        let s;
+        if (itemType) {
+            s = this.createItemSprite(itemType, ITEM_TYPES[itemType].amount,
+                (x + 0.5) * this.TILE_SIZE, (y + 0.5) * this.TILE_SIZE);
+        } else if (type > 0) {
+            s = new Sprite((x + 0.5) * this.TILE_SIZE, (y + 0.5) * this.TILE_SIZE);
+            s.type = type === FIRE_SPRITE.sprite ? 'fire' : spriteTypes[(type - 1) % spriteTypes.length];
+            s.w = this.TILE_SIZE;
+            s.h = this.TILE_SIZE;
+            if (s.type === 'fire') s.w = s.h = this.TILE_SIZE / 2;
+            s.health = this.SPRITE_HEALTH[s.type] ?? 0;
+            if (s.type === 'enemy1' || s.type === 'enemy2') {
+                const patrol = this.level.patrols.find(p => p.x === x && p.y === y);
+                s.moveSpeed = 90;
+                s.rotSpeed = 1.2;
+                s.ai = new EnemyAI(s, this.TILE_SIZE, patrol && patrol.waypoints);
+                playSpriteAnimation(s, 'idle');
             }
+        } else {
+            return null;
+        }
+        // A sprite placed in a wall cell stands on top of the wall stack
+        while (s.level < 2 && this.raycaster.cellAt(x, y, s.level) > 0) s.level++;
+        s.cell = x + y * this.level.width;
+        return s;
+    }
+
+    // Small sprite lying on the floor holding count of an item (see inventory.js)
+    createItemSprite(id, count, x, y) {
+        const s = new Sprite(x, y);
+        s.type = itemTypeOf(id);
+        s.item = { id, count };
+        s.w = this.TILE_SIZE / 3;
+        s.h = this.TILE_SIZE / 3;
+        return s;
+    }
+
+    // Pick up item sprites the player walks over
+    updatePickups() {
+        const player = this.player;
+        for (const s of this.sprites) {
+            if (!s.item || s.cleanup || Math.hypot(s.x - player.x, s.y - player.y) > this.PICKUP_RADIUS) continue;
+            const baseZ = this.spriteBaseZ(s);
+            if (player.z > baseZ + s.h || player.z + this.PLAYER_HEIGHT < baseZ) continue;
+            this.pickUp(s, false);
+        }
+    }
+
+    // Move as much of an item sprite as fits into the inventory; the rest stays in the world
+    pickUp(sprite, report) {
+        const { id, count } = sprite.item;
+        const added = this.player.inventory.add(id, count);
+        if (added === 0) {
+            if (report) this.showMessage(`Can't carry more: ${itemName(id)}`);
+            return;
+        }
+        sprite.item.count -= added;
+        if (sprite.item.count === 0) {
+            sprite.cleanup = true;
+            if (sprite.pickup !== undefined) delete this.pickups[sprite.pickup];
+        }
+        this.showMessage(added > 1 ? `Picked up ${added} ${itemName(id)}` : `Picked up: ${itemName(id)}`);
+    }
+
+    // Use an inventory item: consumables raise survival meters and health,
+    // the rest is used elsewhere (keys on doors, bolts by the crossbow)
+    useItem(id) {
+        const player = this.player;
+        const type = ITEM_TYPES[itemTypeOf(id)];
+        if (!type.restores && !type.heal) {
+            this.showMessage(`${itemName(id)} can't be used like that`);
+            return;
         }
+        if (!(type.heal && player.health < player.maxHealth) && !player.survival.wouldHelp(type.restores || {})) {
+            this.showMessage(`No need for ${itemName(id).toLowerCase()} now`);
+            return;
+        }
+        player.inventory.remove(id);
+        player.survival.consume(type.restores || {});
+        if (type.heal) player.health = Math.min(player.maxHealth, player.health + type.heal);
+        this.showMessage(`${type.verb} ${itemName(id).toLowerCase()}`);
+    }
+
+    // Put a whole stack down on the floor in front of the player
+    dropItem(id) {
+        const player = this.player;
+        const x = player.x + Math.cos(player.rot) * this.TILE_SIZE * 0.75;
+        const y = player.y - Math.sin(player.rot) * this.TILE_SIZE * 0.75;
+        if (this.isWall(x, y, player.z) || this.crossesThinWall(player.x, player.y, x, y, player.z)) {
+            this.showMessage('No room to drop that');
+            return;
+        }
+        const count = player.inventory.count(id);
+        player.inventory.remove(id, count);
+        const s = this.createItemSprite(id, count, x, y);
+        s.level = Math.floor(player.groundZ / this.TILE_SIZE);
+        this.sprites.push(s);
+    }
+
+    // Move the enemies; one within reach of the player, at the player's height, hurts them
+    updateEnemies(dt) {
+        const player = this.player;
+        for (const s of this.sprites) {
+            if (!s.ai || s.hidden || s.cleanup) continue;
+            const wasChasing = s.ai.state === AI_CHASE;
+            s.ai.update(dt, this);
+            if (s.ai.state === AI_CHASE && !wasChasing) this.playSoundAt('enemyAlert', s.x, s.y);
+            if (player.dead || s.ai.attackTimer > 0) continue;
+            if (Math.hypot(s.x - player.x, s.y - player.y) > this.ENEMY_REACH) continue;
+            const baseZ = this.spriteBaseZ(s);
+            if (player.z >= baseZ + s.h || player.z + this.PLAYER_HEIGHT <= baseZ) continue;
+            s.ai.attackTimer = this.ENEMY_HIT_INTERVAL;
+            playSpriteAnimation(s, 'attack', true);
+            this.playSoundAt('enemyAttack', s.x, s.y);
+            this.damagePlayer(this.ENEMY_DAMAGE, `Killed by a ${s.type === 'enemy1' ? 'skeleton' : 'druid'}`);
+        }
+    }
+
+    // Pick and advance the animation of each sprite with a sheet: dying, finishing an attack, walking or idle
+    animateSprites(dt) {
+        for (const s of this.sprites) {
+            if (!this.spriteSheets[s.type] || s.hidden) continue;
+            if (s.cleanup) playSpriteAnimation(s, 'die');
+            else if (s.animation !== 'attack' || spriteAnimationDone(s)) playSpriteAnimation(s, s.speed > 0 ? 'walk' : 'idle');
+            advanceSpriteAnimation(s, dt);
+        }
+    }
+
+    // Take health off the player; at zero they die and the death screen shows the cause
+    damagePlayer(amount, cause) {
+        const player = this.player;
+        if (player.dead || amount <= 0) return;
+        player.health = Math.max(0, player.health - amount);
+        player.hurtTimer = 0.3;
+        if (player.health > 0) return;
+
+        player.dead = true;
+        document.getElementById('death-cause').textContent = cause;
+        document.getElementById('death-respawn').textContent = `Press ${this.input.describe('respawn')} to respawn`;
+        document.getElementById('death').style.display = 'flex';
+    }
+
+    // Back to the last checkpoint with full health and stamina, looking level; enemies return to their posts
+    respawn() {
+        const player = this.player;
+        this.pitch = 0;
+        Object.assign(player, {
+            x: player.checkpoint.x,
+            y: player.checkpoint.y,
+            z: 0, velocityZ: 0, groundZ: 0,
+            rot: player.checkpoint.rot,
+            health: player.maxHealth,
+            stamina: player.maxStamina,
+            staminaDelay: 0,
+            hurtTimer: 0,
+            dead: false
+        });
+        player.survival.reset();
+        for (const s of this.sprites) {
+            if (s.ai) s.ai.reset();
+        }
+        document.getElementById('death').style.display = 'none';
+    }
+
+    /**
+     * Whether a sprite may stand in a cell of its level: empty, or a fully open door,
+     * with a wall below to stand on (above ground) and nothing on the level above
+     */
+    spriteCanEnter(sprite, cx, cy) {
+        const wall = this.raycaster.cellAt(cx, cy, sprite.level);
+        if (Raycaster.isDoor(wall)) {
+            const door = this.doors[cx + cy * this.level.width];
+            return sprite.level === 0 && !!door && door.isOpen();
+        }
+        if (wall > 0) return false;
+        if (sprite.level > 0) {
+            const below = this.raycaster.cellAt(cx, cy, sprite.level - 1);
+            if (below <= 0 || Raycaster.isDoor(below)) return false;
+        }
+        if (this.raycaster.cellAt(cx, cy, sprite.level + 1) > 0) return false;
+        const z = sprite.level * this.TILE_SIZE;
+        const centerX = (cx + 0.5) * this.TILE_SIZE, centerY = (cy + 0.5) * this.TILE_SIZE;
+        return !this.raycaster.thickWallsAt(centerX, centerY).some(tw => this.blocksBody(z, tw.getZ(), tw.getHeight()));
+    }
+
+    /**
+     * Whether a sprite may walk between the centres of two neighbouring cells:
+     * no blocking thin wall in between, and on the ground no ramp edge higher than a step
+     */
+    spriteCanStep(sprite, ax, ay, bx, by) {
+        if (ax !== bx && ay !== by) {
+            // Diagonal: both ways around the corner must be walkable
+            return this.spriteCanStep(sprite, ax, ay, bx, ay) && this.spriteCanStep(sprite, bx, ay, bx, by) &&
+                this.spriteCanStep(sprite, ax, ay, ax, by) && this.spriteCanStep(sprite, ax, by, bx, by);
+        }
+        const ts = this.TILE_SIZE;
+        const z = sprite.level * ts;
+        if (this.crossesThinWall((ax + 0.5) * ts, (ay + 0.5) * ts, (bx + 0.5) * ts, (by + 0.5) * ts, z)) return false;
+        if (sprite.level > 0) return true;
+        // Heights just either side of the shared edge
+        const edgeX = (Math.max(ax, bx) + (ax === bx ? 0.5 : 0)) * ts;
+        const edgeY = (Math.max(ay, by) + (ay === by ? 0.5 : 0)) * ts;
+        const nudgeX = bx - ax, nudgeY = by - ay;
+        const heightA = this.level.heightAt(edgeX - nudgeX, edgeY - nudgeY, z + this.STEP_HEIGHT);
+        const heightB = this.level.heightAt(edgeX + nudgeX, edgeY + nudgeY, z + this.STEP_HEIGHT);
+        return Math.abs(heightA - heightB) <= this.STEP_HEIGHT;
     }
 
     setupInput() {
-        // Keyboard controls
+        this.editor = new MapEditor(this);
+        this.inventoryOverlay = new InventoryOverlay(this);
+        this.controlsOverlay = new ControlsOverlay(this);
+
+        // Keyboard controls, through the action bindings (the first key or click also starts the sound)
         document.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
-            if (e.code === 'KeyM') {
-                this.showMinimap = !this.showMinimap;
-                this.minimapCanvas.style.display = this.showMinimap ? 'block' : 'none';
+            this.sound.unlock();
+            // An open overlay takes the keys it uses (with or without pointer lock)
+            if ((this.controlsOverlay.open && this.controlsOverlay.handleKey(e.code)) ||
+                (this.inventoryOverlay.open && this.inventoryOverlay.handleKey(e.code))) {
+                e.preventDefault();
+                return;
             }
-            if (e.code === 'KeyF') this.interactDoor();
+            for (const action of this.input.keyDown(e.code)) this.runAction(action);
             if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','Space'].includes(e.code)) {
                 e.preventDefault();
             }
         });
-        document.addEventListener('keyup', (e) => this.keys[e.code] = false);
+        document.addEventListener('keyup', (e) => this.input.keyUp(e.code));
 
         // Mouse look controls with pointer lock
         this.mouseSensitivity = 0.002;
         this.pitchSensitivity = 0.3;
         this.maxPitch = 300;
 
-        // Click canvas to enable mouse look
-        this.canvas.addEventListener('click', () => {
-            this.canvas.requestPointerLock();
+        // Click canvas to enable mouse look; once enabled, the left button attacks
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.sound.unlock();
+            if (this.inventoryOverlay.open) return;
+            if (document.pointerLockElement === this.canvas) {
+                if (e.button === 0) this.attack();
+            } else {
+                this.canvas.requestPointerLock();
+            }
         });
 
         // Handle mouse movement when pointer is locked
         document.addEventListener('mousemove', (e) => {
-            if (document.pointerLockElement === this.canvas) {
+            if (document.pointerLockElement === this.canvas && !this.inventoryOverlay.open) {
                 // Horizontal movement = rotation
+                // (the stored position turns too, so the turn isn't blended away; see blendPositions)
                 this.player.rot -= e.movementX * this.mouseSensitivity;
+                this.previous.rot -= e.movementX * this.mouseSensitivity;
 
                 // Vertical movement = pitch (look up/down)
                 this.pitch -= e.movementY * this.pitchSensitivity;
@@ -367,490 +1114,666 @@ class Game {
         });
     }
 
-    interactDoor() {
-        const dist = this.TILE_SIZE * 1.5;
-        const cx = this.player.x + Math.cos(this.player.rot) * dist;
-        const cy = this.player.y - Math.sin(this.player.rot) * dist;
-        const cellX = Math.floor(cx / this.TILE_SIZE);
-        const cellY = Math.floor(cy / this.TILE_SIZE);
-        const wall = this.raycaster.cellAt(cellX, cellY, 0);
-        if (Raycaster.isDoor(wall)) {
-            this.doors[cellX + cellY * MAP_WIDTH] = !this.doors[cellX + cellY * MAP_WIDTH];
+    // Attack with the current weapon once it is ready
+    attack() {
+        if (this.player.dead || this.editor.active) return;
+        const weapon = this.player.weapons[this.player.weapon];
+        if (weapon.ammo && weapon.timer === 0 && !this.player.inventory.remove(weapon.ammo)) {
+            this.showMessage(`Out of ${itemName(weapon.ammo).toLowerCase()}`);
+            return;
+        }
+        if (!weapon.trigger()) return;
+        if (weapon.attack === 'melee') this.meleeAttack(weapon);
+        else this.fireHitscan(weapon);
+    }
+
+    // Run an action pressed on the keyboard or gamepad (held ones, like moving, are read in update)
+    runAction(action) {
+        switch (action) {
+            case 'inventory':
+                this.inventoryOverlay.toggle();
+                this.input.release();
+                break;
+            case 'controls':
+                this.controlsOverlay.toggle();
+                this.input.release();
+                break;
+            case 'minimap':
+                this.showMinimap = !this.showMinimap;
+                this.minimapCanvas.style.display = this.showMinimap ? 'block' : 'none';
+                break;
+            case 'use':
+                this.use();
+                break;
+            case 'lantern':
+                this.player.lantern = !this.player.lantern;
+                this.showMessage(this.player.lantern ? 'Lantern on' : 'Lantern off');
+                break;
+            case 'editor':
+                this.editor.toggle();
+                break;
+            case 'respawn':
+                if (this.player.dead) this.respawn();
+                break;
+            case 'attack':
+                this.attack();
+                break;
+            case 'weapon1':
+            case 'weapon2':
+                this.player.weapon = Number(action[6]) - 1;
+                break;
+        }
+    }
+
+    // Read the gamepad: new button presses go to an open overlay or run their actions
+    pollGamepad() {
+        const gamepads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        for (const button of this.input.pollGamepad(gamepads)) {
+            if (this.controlsOverlay.handleButton(button)) continue;
+            for (const action of this.input.actionsForButton(button)) {
+                if (this.inventoryOverlay.open) this.inventoryOverlay.handleAction(action);
+                else this.runAction(action);
+            }
+        }
+    }
+
+    // Height of the aim line (screen centre, so it follows the pitch) at a distance
+    aimZAt(distance) {
+        return this.TILE_SIZE / 2 + this.player.z + this.pitch * distance / this.viewDist;
+    }
+
+    // Hit every sprite in a short cone in front of the player, if not behind a wall
+    meleeAttack(weapon) {
+        const player = this.player;
+        const range = weapon.range * this.TILE_SIZE;
+        const eyeZ = this.TILE_SIZE / 2 + player.z;
+        for (const s of this.sprites) {
+            if (s.hidden || s.cleanup || !(s.health > 0)) continue;
+            const dx = s.x - player.x, dy = s.y - player.y;
+            if (Math.hypot(dx, dy) > range) continue;
+            let angle = Math.atan2(-dy, dx) - player.rot;
+            angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+            if (Math.abs(angle) > weapon.cone / 2) continue;
+            const baseZ = this.spriteBaseZ(s);
+            if (eyeZ < baseZ || player.z > baseZ + s.h) continue;
+            if (!this.raycaster.hasLineOfSight(player.x, player.y, s.x, s.y)) continue;
+            this.hitSprite(s, weapon.damage);
+        }
+    }
+
+    /**
+     * Shoot along the view: the nearest sprite the ray passes (see Raycaster.castRay
+     * sprites option) at the aim height, unless a wall is in the way first
+     */
+    fireHitscan(weapon) {
+        const player = this.player;
+        const hits = this.raycaster.castRay(player.x, player.y, player.rot, {
+            maxDistance: weapon.range * this.TILE_SIZE,
+            sprites: this.sprites.filter(s => s.health > 0)
+        });
+        let wallDistance = Infinity;
+        let target = null;
+        for (const hit of hits) {
+            const z = this.aimZAt(hit.distance);
+            if (hit.sprite) {
+                const baseZ = this.spriteBaseZ(hit.sprite);
+                if (z >= baseZ && z <= baseZ + hit.sprite.h && (!target || hit.distance < target.distance)) target = hit;
+            } else if (!hit.slope && !hit.backFace && !hit.doorOpen && z >= hit.wallZ && z <= hit.wallZ + hit.wallHeight) {
+                wallDistance = Math.min(wallDistance, hit.distance);
+            }
+        }
+        if (target && target.distance < wallDistance) this.hitSprite(target.sprite, weapon.damage);
+    }
+
+    // Damage a sprite (anything with health: trees and enemies): it flashes, enemies turn on the player, and at zero health it is cleaned up
+    hitSprite(sprite, damage) {
+        sprite.health -= damage;
+        sprite.flashTimer = 0.15;
+        if (sprite.ai) {
+            sprite.ai.alert(this.player.x, this.player.y);
+            this.playSoundAt('enemyHurt', sprite.x, sprite.y);
         }
+        if (sprite.health <= 0) sprite.cleanup = true;
     }
 
-    isWall(x, y) {
+    // Use action: pick up the item or fire whatever the player is facing (door or wall switch), within reach
+    use() {
+        const hits = this.raycaster.castRay(this.player.x, this.player.y, this.player.rot, {
+            maxDistance: this.USE_REACH,
+            sprites: this.sprites.filter(s => s.item),
+            spriteRadius: this.TILE_SIZE / 3
+        });
+        const hit = hits.filter(h => h.sprite || (h.level === 0 && !h.slope && !h.backFace))
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (!hit) return;
+        if (hit.sprite) {
+            this.pickUp(hit.sprite, true);
+            return;
+        }
+        const key = hit.wallX + hit.wallY * this.level.width;
+
+        if (hit.door) {
+            const door = this.doors[key];
+            if (door) this.useDoor(door);
+            return;
+        }
+
+        const wallSwitch = !hit.thinWall && this.switches[key];
+        if (wallSwitch) {
+            wallSwitch.on = !wallSwitch.on;
+            this.triggerTargets(wallSwitch).forEach(door => door.toggle());
+        }
+    }
+
+    useDoor(door) {
+        if (door.locked) {
+            if (!door.lockKey || !this.player.inventory.has(keyItemID(door.lockKey))) {
+                this.playSoundAt('doorLocked', (door.cellX + 0.5) * this.TILE_SIZE, (door.cellY + 0.5) * this.TILE_SIZE);
+            }
+            if (!door.lockKey) {
+                this.showMessage('Locked - opened from somewhere else');
+                return;
+            }
+            if (!this.player.inventory.has(keyItemID(door.lockKey))) {
+                this.showMessage(`Locked - needs the ${door.lockKey} key`);
+                return;
+            }
+            door.locked = false;
+            this.showMessage(`Unlocked with the ${door.lockKey} key`);
+        }
+        door.toggle();
+    }
+
+    // Height of the ceiling above height z at a world position (Infinity under open sky):
+    // the indoor ceiling, or the underside of a floating platform
+    getCeilingAt(x, y, z = 0) {
         const cx = Math.floor(x / this.TILE_SIZE);
         const cy = Math.floor(y / this.TILE_SIZE);
-        if (cx < 0 || cx >= MAP_WIDTH || cy < 0 || cy >= MAP_HEIGHT) return true;
+        let ceiling = this.level.cellAt('ceiling', cx, cy) > 0 ? this.TILE_SIZE : Infinity;
+        for (const block of this.wallBlocksAt(cx, cy)) {
+            if (block.z > z) ceiling = Math.min(ceiling, block.z);
+        }
+        for (const thickWall of this.raycaster.thickWallsAt(x, y)) {
+            if (thickWall.getZ() > z) ceiling = Math.min(ceiling, thickWall.getZ());
+        }
+        return ceiling;
+    }
+
+    // Highest player.z (feet at z) that keeps the player's head below the ceiling
+    maxPlayerZAt(x, y, z = 0) {
+        return this.getCeilingAt(x, y, z) - this.PLAYER_HEIGHT;
+    }
+
+    // Custom height entry for a ground level wall cell (see g_map_heights), or null
+    customCellAt(cx, cy) {
+        const wall = this.raycaster.cellAt(cx, cy, 0);
+        if (wall <= 0 || Raycaster.isDoor(wall)) return null;
+        return this.raycaster.cellHeights[cx + cy * this.level.width] || null;
+    }
+
+    // Solid grid blocks in a cell, bottom up, as { z, height }: the wall on each level (the
+    // ground level one shaped by its custom height, see g_map_heights); doors are left out
+    wallBlocksAt(cx, cy) {
+        const blocks = [];
+        for (let level = 0; level < this.raycaster.grids.length; level++) {
+            const wall = this.raycaster.cellAt(cx, cy, level);
+            if (wall <= 0 || Raycaster.isDoor(wall)) continue;
+            const cell = level === 0 ? this.customCellAt(cx, cy) : null;
+            blocks.push(cell ? { z: cell.z, height: cell.height } : { z: level * this.TILE_SIZE, height: this.TILE_SIZE });
+        }
+        return blocks;
+    }
+
+    // Top of the highest grid wall at a position that something at fromZ stands on (0 if none)
+    wallTopAt(x, y, fromZ = Infinity) {
+        let top = 0;
+        for (const block of this.wallBlocksAt(Math.floor(x / this.TILE_SIZE), Math.floor(y / this.TILE_SIZE))) {
+            if (block.z <= fromZ) top = Math.max(top, block.z + block.height);
+        }
+        return top;
+    }
+
+    // Whether a wall spanning baseZ..baseZ + height blocks a body with its feet at z:
+    // low tops are stepped onto, high bases are walked under
+    blocksBody(z, baseZ, height) {
+        return baseZ + height - z > this.STEP_HEIGHT && z + this.PLAYER_HEIGHT > baseZ;
+    }
+
+    // Highest free-form geometry top at a position that something at fromZ stands on (0 if none)
+    geometryTopAt(x, y, fromZ = Infinity) {
+        let top = 0;
+        for (const thickWall of this.raycaster.thickWallsAt(x, y)) {
+            if (thickWall.getZ() <= fromZ) top = Math.max(top, thickWall.getZ() + thickWall.getHeight());
+        }
+        return top;
+    }
+
+    // Whether moving from (x1, y1) to (x2, y2) with feet at z crosses a blocking thin wall
+    crossesThinWall(x1, y1, x2, y2, z = 0) {
+        return this.raycaster.thinWallsCrossed(x1, y1, x2, y2).some(tw => this.blocksBody(z, tw.z, tw.height));
+    }
+
+    // Whether a world position is within DOOR_CLEARANCE of a door panel
+    nearDoorPanel(x, y) {
+        for (const key in this.doors) {
+            const panel = this.doors[key].thinWall;
+            if (panel && Shape.distanceToSegment(x, y, panel.x1, panel.y1, panel.x2, panel.y2) < this.DOOR_CLEARANCE) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Whether a body with its feet at height z is blocked at a world position
+    isWall(x, y, z = 0) {
+        const cx = Math.floor(x / this.TILE_SIZE);
+        const cy = Math.floor(y / this.TILE_SIZE);
+        if (cx < 0 || cx >= this.level.width || cy < 0 || cy >= this.level.height) return true;
         // Slopes are passable (not walls)
-        const slopeType = g_map_slopes[cy]?.[cx] ?? SLOPE_TYPE_NONE;
+        const slopeType = this.level.cellAt('slopes', cx, cy);
         if (slopeType !== SLOPE_TYPE_NONE) return false;
+        // Door panels block wherever they are (a swinging one reaches into the next cell)
+        if (this.nearDoorPanel(x, y)) return true;
         const wall = this.raycaster.cellAt(cx, cy, 0);
-        if (Raycaster.isDoor(wall)) return !this.doors[cx + cy * MAP_WIDTH];
-        return wall > 0;
+        if (Raycaster.isDoor(wall)) return false;
+        // Free-form solid shapes
+        if (this.raycaster.thickWallsAt(x, y).some(tw => this.blocksBody(z, tw.getZ(), tw.getHeight()))) return true;
+        // Walls block only what they overlap: step up onto low tops (and wall tops from
+        // above), walk under platforms and raised walls that clear the player's head
+        return this.wallBlocksAt(cx, cy).some(block => this.blocksBody(z, block.z, block.height));
     }
 
-    update() {
-        const speed = this.player.moveSpeed;
-        const rotSpeed = this.player.rotSpeed;
+    /**
+     * Whether grid cell cx, cy stops the player (feet at z) at point x, y of the cell: walls on
+     * any level that it can't step onto or walk under (see wallBlocksAt), ramp sides more than
+     * a step higher, indoor ceilings too low to jump under. Door panels block, not their cells
+     * (see moveBody).
+     */
+    cellBlocksPlayer(cx, cy, x, y, z) {
+        if (cx < 0 || cx >= this.level.width || cy < 0 || cy >= this.level.height) return true;
+        if (this.level.cellAt('slopes', cx, cy) !== SLOPE_TYPE_NONE) return this.level.heightAt(x, y) - z > this.STEP_HEIGHT;
+        if (this.wallBlocksAt(cx, cy).some(block => this.blocksBody(z, block.z, block.height))) return true;
+        return this.level.cellAt('ceiling', cx, cy) > 0 && z + this.PLAYER_HEIGHT > this.TILE_SIZE;
+    }
 
-        // Arrow keys for turning
-        if (this.keys['ArrowLeft']) this.player.rot += rotSpeed;
-        if (this.keys['ArrowRight']) this.player.rot -= rotSpeed;
+    /**
+     * Move a round body (the player or a sprite, feet at z) by dx, dy, sliding along whatever
+     * stops it: grid cells for which cellBlocks(cx, cy, x, y) is true (x, y being the point of
+     * the cell nearest the body), blocking thin walls, door panels and solid bodies. The move
+     * is made in steps of at most half the radius, so nothing is passed through; after each
+     * the body is pushed back out of what it overlaps, which keeps the motion along the surface.
+     */
+    moveBody(body, dx, dy, z, radius, cellBlocks) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / (radius / 2)));
+        const others = this.solidBodies(body, z);
+        for (let i = 0; i < steps; i++) {
+            body.x += dx / steps;
+            body.y += dy / steps;
+            // A few passes settle corners where two surfaces push at once
+            for (let pass = 0; pass < 3; pass++) {
+                if (!this.pushOut(body, z, radius, cellBlocks, others)) break;
+            }
+        }
+    }
+
+    // Move a sprite like moveBody, kept to the cells it may enter (see spriteCanEnter)
+    moveSprite(sprite, dx, dy) {
+        const collision = this.SPRITE_COLLISION[sprite.type];
+        this.moveBody(sprite, dx, dy, this.spriteBaseZ(sprite), collision ? collision.radius : this.PLAYER_RADIUS,
+            (cx, cy) => !this.spriteCanEnter(sprite, cx, cy));
+    }
 
-        let dx = 0, dy = 0;
-        // W/S or Up/Down for forward/backward
-        if (this.keys['ArrowUp'] || this.keys['KeyW']) {
-            dx += Math.cos(this.player.rot) * speed;
-            dy -= Math.sin(this.player.rot) * speed;
+    // Circles that stop body (feet at z) at its height: the living player and solid sprites
+    solidBodies(body, z) {
+        const bodies = [];
+        const player = this.player;
+        const top = z + this.PLAYER_HEIGHT;
+        if (body !== player && !player.dead && player.z < top && player.z + this.PLAYER_HEIGHT > z) {
+            bodies.push({ x: player.x, y: player.y, radius: this.PLAYER_RADIUS });
         }
-        if (this.keys['ArrowDown'] || this.keys['KeyS']) {
-            dx -= Math.cos(this.player.rot) * speed;
-            dy += Math.sin(this.player.rot) * speed;
+        for (const s of this.sprites) {
+            const collision = this.SPRITE_COLLISION[s.type];
+            if (s === body || !collision || !collision.solid || s.hidden || s.cleanup) continue;
+            const baseZ = this.spriteBaseZ(s);
+            if (baseZ >= top || baseZ + s.h <= z) continue;
+            bodies.push({ x: s.x, y: s.y, radius: collision.radius });
+        }
+        return bodies;
+    }
+
+    // Push a body out of everything it overlaps (see moveBody); returns whether it moved
+    pushOut(body, z, radius, cellBlocks, others) {
+        let moved = false;
+        // Away from the nearest point px, py of something that must stay reach from the centre
+        const pushFrom = (px, py, reach) => {
+            const ox = body.x - px, oy = body.y - py;
+            const dist = Math.hypot(ox, oy);
+            if (dist >= reach || dist === 0) return;
+            body.x += ox / dist * (reach - dist);
+            body.y += oy / dist * (reach - dist);
+            moved = true;
+        };
+
+        const ts = this.TILE_SIZE;
+        const cellX = Math.floor(body.x / ts), cellY = Math.floor(body.y / ts);
+        for (let cy = Math.floor((body.y - radius) / ts); cy <= Math.floor((body.y + radius) / ts); cy++) {
+            for (let cx = Math.floor((body.x - radius) / ts); cx <= Math.floor((body.x + radius) / ts); cx++) {
+                // The centre's own cell never pushes, so a body caught inside one can walk out
+                if (cx === cellX && cy === cellY) continue;
+                const px = Math.max(cx * ts, Math.min((cx + 1) * ts - 0.01, body.x));
+                const py = Math.max(cy * ts, Math.min((cy + 1) * ts - 0.01, body.y));
+                if (cellBlocks(cx, cy, px, py)) pushFrom(px, py, radius);
+            }
         }
-        // A/D for strafing
-        if (this.keys['KeyA']) {
-            dx += Math.cos(this.player.rot + Math.PI/2) * speed;
-            dy -= Math.sin(this.player.rot + Math.PI/2) * speed;
+        for (const wall of this.raycaster.thinWalls) {
+            if (!this.blocksBody(z, wall.z, wall.height)) continue;
+            const nearest = Shape.nearestPointOnSegment(body.x, body.y, wall.x1, wall.y1, wall.x2, wall.y2);
+            pushFrom(nearest.x, nearest.y, radius);
         }
-        if (this.keys['KeyD']) {
-            dx += Math.cos(this.player.rot - Math.PI/2) * speed;
-            dy -= Math.sin(this.player.rot - Math.PI/2) * speed;
+        // Door panels block at any height
+        for (const key in this.doors) {
+            const panel = this.doors[key].thinWall;
+            if (!panel) continue;
+            const nearest = Shape.nearestPointOnSegment(body.x, body.y, panel.x1, panel.y1, panel.x2, panel.y2);
+            pushFrom(nearest.x, nearest.y, radius);
         }
+        for (const other of others) pushFrom(other.x, other.y, radius + other.radius);
+        return moved;
+    }
 
-        const newX = this.player.x + dx;
-        const newY = this.player.y + dy;
-        if (!this.isWall(newX, this.player.y)) this.player.x = newX;
-        if (!this.isWall(this.player.x, newY)) this.player.y = newY;
+    update() {
+        this.pollGamepad();
+        this.sound.setListener(this.player.x, this.player.y, this.player.rot);
+        this.updateTriggers();
+        this.updateDoors(this.UPDATE_DT);
+        this.updateEnemies(this.UPDATE_DT);
+        this.dayNight.update(this.UPDATE_DT);
+        this.lightMap.update(this.UPDATE_DT);
+        this.animateSprites(this.UPDATE_DT);
+        // Hit flashes fade; destroyed sprites go once theirs (and their death animation) is over
+        for (const s of this.sprites) {
+            if (s.flashTimer > 0) s.flashTimer -= this.UPDATE_DT;
+        }
+        this.sprites = this.sprites.filter(s => !s.cleanup || s.flashTimer > 0 ||
+            (s.animation === 'die' && !spriteAnimationDone(s)));
+        if (!this.player.dead) this.updatePickups();
+        for (const weapon of this.player.weapons) weapon.update(this.UPDATE_DT);
+        if (this.messageTimer > 0) {
+            this.messageTimer -= this.UPDATE_DT;
+            if (this.messageTimer <= 0) document.getElementById('message').textContent = '';
+        }
+
+        if (this.player.hurtTimer > 0) this.player.hurtTimer -= this.UPDATE_DT;
+        if (this.player.dead || this.inventoryOverlay.open || this.controlsOverlay.open) return;
+
+        // How far to move forward and to the right (-1 to 1 each; partway on a stick)
+        const input = this.input;
+        const forward = input.value('forward') - input.value('back');
+        const strafe = input.value('strafeRight') - input.value('strafeLeft');
+        const moving = forward !== 0 || strafe !== 0;
+        const sprinting = moving && input.isDown('sprint') && this.player.stamina > 0;
+        if (sprinting) this.useStamina(this.SPRINT_STAMINA * this.UPDATE_DT);
+        const dt = this.UPDATE_DT;
+        const speed = this.player.moveSpeed * (sprinting ? this.SPRINT_FACTOR : 1) * dt;
+        const rotSpeed = this.player.rotSpeed * dt;
+
+        // Turning (arrow keys or the right stick)
+        this.player.rot += (input.value('turnLeft') - input.value('turnRight')) * rotSpeed;
+
+        // Forward/backward and strafing (WASD or the left stick)
+        const rot = this.player.rot;
+        const dx = (Math.cos(rot) * forward + Math.cos(rot - Math.PI/2) * strafe) * speed;
+        const dy = -(Math.sin(rot) * forward + Math.sin(rot - Math.PI/2) * strafe) * speed;
+
+        if (moving) this.player.bob += speed * Math.min(1, Math.hypot(forward, strafe)) * 0.04;
+        const z = this.player.z;
+        const px = this.player.x, py = this.player.y;
+        this.moveBody(this.player, dx, dy, z, this.PLAYER_RADIUS, (cx, cy, x, y) => this.cellBlocksPlayer(cx, cy, x, y, z));
+
+        // Footsteps on the ground, by floor type
+        if (this.player.z <= this.player.groundZ + 1) {
+            this.stepDistance += Math.hypot(this.player.x - px, this.player.y - py);
+            if (this.stepDistance >= this.STEP_LENGTH) {
+                this.stepDistance = 0;
+                const floor = this.level.cellAt('floor', Math.floor(this.player.x / this.TILE_SIZE), Math.floor(this.player.y / this.TILE_SIZE));
+                this.sound.play(FOOTSTEP_SOUNDS[floor] || 'stepSoft');
+            }
+        }
 
-        // Update ground height based on slope
-        this.player.groundZ = getHeightAt(this.player.x, this.player.y);
+        // Update ground height based on slopes, wall tops, custom height cells and free-form
+        // shapes (anything up to a step above the feet is stepped onto; off an edge, the player falls)
+        const stepZ = z + this.STEP_HEIGHT;
+        this.player.groundZ = Math.max(this.level.heightAt(this.player.x, this.player.y, stepZ),
+            this.wallTopAt(this.player.x, this.player.y, stepZ), this.geometryTopAt(this.player.x, this.player.y, stepZ));
 
-        if (this.keys['PageUp']) this.pitch = Math.min(this.pitch + 10, 200);
-        if (this.keys['PageDown']) this.pitch = Math.max(this.pitch - 10, -200);
+        const look = input.value('lookUp') - input.value('lookDown');
+        if (look > 0) this.pitch = Math.min(this.pitch + look * this.PITCH_SPEED * dt, 200);
+        if (look < 0) this.pitch = Math.max(this.pitch + look * this.PITCH_SPEED * dt, -200);
 
         // Jump physics
-        if (this.keys['Space'] && this.player.z <= this.player.groundZ + 1) {
+        if (input.isDown('jump') && this.player.z <= this.player.groundZ + 1 &&
+            this.player.stamina >= this.JUMP_STAMINA) {
             this.player.velocityZ = this.player.jumpStrength;
+            this.useStamina(this.JUMP_STAMINA);
         }
-        this.player.velocityZ -= this.player.gravity;
-        this.player.z += this.player.velocityZ;
+        this.player.velocityZ -= this.player.gravity * dt;
+        this.player.z += this.player.velocityZ * dt;
         if (this.player.z <= this.player.groundZ) {
+            // Hard landings hurt
+            const impact = -this.player.velocityZ;
             this.player.z = this.player.groundZ;
             this.player.velocityZ = 0;
+            if (impact > this.LAND_SOUND_SPEED) this.sound.play('land', { volume: Math.min(1, impact / this.FALL_DAMAGE_SPEED) });
+            if (impact > this.FALL_DAMAGE_SPEED) {
+                this.damagePlayer((impact - this.FALL_DAMAGE_SPEED) * this.FALL_DAMAGE, 'Fell to your death');
+            }
+        }
+
+        // Stamina comes back after a short rest
+        if (this.player.staminaDelay > 0) {
+            this.player.staminaDelay -= this.UPDATE_DT;
+        } else {
+            this.player.stamina = Math.min(this.player.maxStamina, this.player.stamina + this.STAMINA_REGEN * this.UPDATE_DT);
+        }
+
+        // Survival meters: cold under the open night sky, warm by a fire; empty meters hurt
+        const cellX = Math.floor(this.player.x / this.TILE_SIZE);
+        const cellY = Math.floor(this.player.y / this.TILE_SIZE);
+        const survival = this.player.survival.tick(this.UPDATE_DT, {
+            outdoors: this.level.cellAt('ceiling', cellX, cellY) === 0,
+            nearFire: this.sprites.some(s => s.type === 'fire' &&
+                Math.hypot(s.x - this.player.x, s.y - this.player.y) < this.FIRE_RADIUS),
+            sprinting,
+            daylight: this.dayNight.daylight
+        });
+        if (survival.damage > 0) this.damagePlayer(survival.damage, survival.cause);
+
+        // Indoor cells have a ceiling: stop the jump before the camera passes through it
+        const maxZ = this.maxPlayerZAt(this.player.x, this.player.y, this.player.groundZ);
+        if (this.player.z > maxZ) {
+            this.player.z = Math.max(maxZ, this.player.groundZ);
+            if (this.player.velocityZ > 0) this.player.velocityZ = 0;
+        }
+    }
+
+    useStamina(amount) {
+        this.player.stamina = Math.max(0, this.player.stamina - amount);
+        this.player.staminaDelay = this.STAMINA_REGEN_DELAY;
+    }
+
+    // Health, stamina and survival meter bars and the clock next to the FPS panel
+    updateHud() {
+        const player = this.player;
+        document.getElementById('clock').textContent = `Time: ${this.dayNight.timeText}`;
+        document.getElementById('health').style.width = `${player.health / player.maxHealth * 100}%`;
+        document.getElementById('health').style.background = player.hurtTimer > 0 ? '#fff' : '#c22';
+        document.getElementById('stamina').style.width = `${player.stamina / player.maxStamina * 100}%`;
+        for (const stat of ['hunger', 'thirst', 'warmth']) {
+            document.getElementById(stat).style.width = `${player.survival[stat] / SURVIVAL_MAX * 100}%`;
         }
     }
 
     draw() {
         if (!this.texturesLoaded) return;
 
-        const ctx = this.ctx;
+        const fb = this.frameBuffer;
         const W = this.displayWidth;
         const H = this.displayHeight;
         const halfH = H / 2;
 
-        // Clear with floor color as base (prevents gaps when jumping)
-        const horizonY = halfH + this.pitch;
-        const floorGrad = ctx.createLinearGradient(0, halfH, 0, H);
-        floorGrad.addColorStop(0, '#4a4035');
-        floorGrad.addColorStop(1, '#2a2015');
-        ctx.fillStyle = floorGrad;
-        ctx.fillRect(0, 0, W, H);
-
-        // Draw sky on top - fixed height with clipping
-        if (this.skyImage) {
-            const skyW = this.skyImage.width;
-            const skyH = this.skyImage.height;
-
-            // Fixed sky height (doesn't stretch with pitch)
-            const fixedSkyHeight = H * 0.95;
-            const visibleSkyHeight = Math.max(0, Math.min(fixedSkyHeight, horizonY));
-
-            // Fill background for sky area (dark for night sky)
-            ctx.fillStyle = '#0a0a1a';
-            ctx.fillRect(0, 0, W, Math.max(0, horizonY));
-
-            if (visibleSkyHeight > 0) {
-                ctx.save();
-                ctx.beginPath();
-                ctx.rect(0, 0, W, visibleSkyHeight);
-                ctx.clip();
-
-                // Calculate horizontal offset based on rotation (25% slower parallax, reversed direction)
-                let xOffset = -(this.player.rot / TWO_PI) * skyW * 0.75;
-                xOffset = ((xOffset % skyW) + skyW) % skyW;
-
-                // Draw sky with seamless horizontal wrapping at fixed height
-                ctx.drawImage(this.skyImage,
-                    xOffset, 0, skyW - xOffset, skyH,
-                    0, 0, W * (1 - xOffset / skyW), fixedSkyHeight
-                );
-
-                if (xOffset > 0) {
-                    ctx.drawImage(this.skyImage,
-                        0, 0, xOffset, skyH,
-                        W * (1 - xOffset / skyW), 0, W * (xOffset / skyW), fixedSkyHeight
-                    );
-                }
+        const cameraZ = this.TILE_SIZE / 2 + this.player.z;
+        const horizon = halfH + this.pitch;
+        this.lighting = this.dayNight.lighting(this.level.fog);
+        this.buildLightBands();
+        this.updateLights();
+        // Nothing shows through opaque fog, so rays and scanlines stop at its end
+        this.viewLimit = this.lighting.fogDensity >= 1 ? this.lighting.fogEnd * this.TILE_SIZE : Infinity;
 
-                ctx.restore();
-            }
+        // Per-strip ray directions shared by the scanline passes
+        for (let strip = 0; strip < this.numRays; strip++) {
+            const screenX = (this.numRays / 2 - strip) * this.stripWidth;
+            const stripAngle = Math.atan(screenX / this.viewDist);
+            const rayAngle = this.player.rot + stripAngle;
+            const cosAngle = Math.cos(stripAngle);
+            this.rayDirX[strip] = Math.cos(rayAngle) / cosAngle;
+            this.rayDirY[strip] = -Math.sin(rayAngle) / cosAngle;
         }
 
-        // Reset z-buffer
+        // Reset z-buffers (sky and floor never occlude sprites)
         this.zBuffer.fill(Infinity);
+        this.depthBuffer.fill(Infinity);
+        this.coverTop.fill(H);
+        this.coverBottom.fill(0);
 
-        // Cast rays and draw walls
-        const cameraZ = this.TILE_SIZE / 2 + this.player.z;
-        const horizon = halfH + this.pitch;
+        // Cast rays for every strip before drawing
         // Only use multi-hit when jumping (performance optimization)
         const canSeeOverWalls = this.player.z > 5;
 
-        // Collect all door hits for rendering after sprites
-        const allDoorHits = [];
-        // Track rendered wall segments per strip for door clipping
-        const wallSegments = [];
+        // Hits and slope spans per strip
+        const stripHits = [];
+        const slopeRanges = [];
 
         for (let strip = 0; strip < this.numRays; strip++) {
-            wallSegments[strip] = [];
             const screenX = (this.numRays / 2 - strip) * this.stripWidth;
             const stripAngle = Math.atan(screenX / this.viewDist);
             const rayAngle = this.player.rot + stripAngle;
             const drawX = strip * this.stripWidth;
 
-            let angle = rayAngle;
-            while (angle < 0) angle += TWO_PI;
-            while (angle >= TWO_PI) angle -= TWO_PI;
-
-            // Unified DDA - single pass through cells in ray order
-            const hits = [];
-            const dirX = Math.cos(rayAngle);
-            const dirY = -Math.sin(rayAngle);
-
-            // Starting cell
-            let cx = Math.floor(this.player.x / this.TILE_SIZE);
-            let cy = Math.floor(this.player.y / this.TILE_SIZE);
-
-            // Step directions
-            const stepX = dirX >= 0 ? 1 : -1;
-            const stepY = dirY >= 0 ? 1 : -1;
-
-            // Distance to cross one full cell
-            const tDeltaX = dirX !== 0 ? Math.abs(this.TILE_SIZE / dirX) : Infinity;
-            const tDeltaY = dirY !== 0 ? Math.abs(this.TILE_SIZE / dirY) : Infinity;
-
-            // Distance to first cell boundary
-            let tMaxX, tMaxY;
-            if (dirX > 0) {
-                tMaxX = ((cx + 1) * this.TILE_SIZE - this.player.x) / dirX;
-            } else if (dirX < 0) {
-                tMaxX = (cx * this.TILE_SIZE - this.player.x) / dirX;
-            } else {
-                tMaxX = Infinity;
-            }
-            if (dirY > 0) {
-                tMaxY = ((cy + 1) * this.TILE_SIZE - this.player.y) / dirY;
-            } else if (dirY < 0) {
-                tMaxY = (cy * this.TILE_SIZE - this.player.y) / dirY;
-            } else {
-                tMaxY = Infinity;
-            }
-
-            // Check if starting cell is a wall (for each level)
-            const startKey = cx + cy * MAP_WIDTH;
-            const numLevels = this.raycaster.grids.length;
-            let prevWalls = [];
-            for (let level = 0; level < numLevels; level++) {
-                const startWall = this.raycaster.cellAt(cx, cy, level);
-                prevWalls[level] = (startWall > 0 && !(Raycaster.isDoor(startWall) && this.doors[startKey])) ? startWall : 0;
-            }
-
-            // DDA stepping - continue until we exit the map or hit a wall
-            while (true) {
-                // Which boundary is closer?
-                const crossVertical = tMaxX < tMaxY;
-                const crossDist = crossVertical ? tMaxX : tMaxY;
-
-                // Calculate hit position at the boundary
-                const hitX = this.player.x + dirX * crossDist;
-                const hitY = this.player.y + dirY * crossDist;
+            // Walk the ray through every level (front/back faces, doors, slopes)
+            const hits = this.raycaster.castRay(this.player.x, this.player.y, rayAngle, {
+                backFaces: canSeeOverWalls,
+                maxDistance: this.viewLimit,
+                viewAngle: this.player.rot,
+                strip
+            });
 
-                // Step to next cell
-                if (crossVertical) {
-                    cx += stepX;
-                    tMaxX += tDeltaX;
-                } else {
-                    cy += stepY;
-                    tMaxY += tDeltaY;
+            // Slope spans along this ray, for the slope pass (distances along the ray)
+            const ranges = [];
+            for (const hit of hits) {
+                if (!hit.slope) continue;
+                if (!hit.backFace) {
+                    ranges.push({ start: hit.distance, end: Infinity });
+                } else if (ranges.length > 0) {
+                    ranges[ranges.length - 1].end = hit.distance;
                 }
+            }
+            slopeRanges[strip] = ranges;
 
-                // Bounds check - exit when ray leaves the map
-                if (cx < 0 || cx >= MAP_WIDTH || cy < 0 || cy >= MAP_HEIGHT) break;
-
-                // Check walls at all levels (0 = ground, 1 = upper)
-                const cellKey = cx + cy * MAP_WIDTH;
-                const numLevels = this.raycaster.grids.length;
-
-                for (let level = 0; level < numLevels; level++) {
-                    const wall = this.raycaster.cellAt(cx, cy, level);
-                    const isOpenDoor = Raycaster.isDoor(wall) && this.doors[cellKey];
-                    const isSolid = wall > 0 && !isOpenDoor;
-
-                    // Front face: entering wall from empty space
-                    if (isSolid && prevWalls[level] === 0) {
-                        let texX;
-                        if (crossVertical) {
-                            // Crossed a vertical boundary (east/west face)
-                            texX = ((hitY % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE;
-                            if (stepX < 0) texX = this.TILE_SIZE - texX;
-                        } else {
-                            // Crossed a horizontal boundary (north/south face)
-                            texX = ((hitX % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE;
-                            if (stepY > 0) texX = this.TILE_SIZE - texX;
-                        }
-                        hits.push({ dist: crossDist, horiz: !crossVertical, type: wall, texX, level });
-                    }
-
-                    // Back face: exiting wall into empty space
-                    if (!isSolid && prevWalls[level] > 0 && canSeeOverWalls) {
-                        let texX;
-                        if (crossVertical) {
-                            texX = ((hitY % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE;
-                            if (stepX > 0) texX = this.TILE_SIZE - texX;
-                        } else {
-                            texX = ((hitX % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE;
-                            if (stepY < 0) texX = this.TILE_SIZE - texX;
+            // Store z-buffer for the floor and slope passes: walls standing on the ground and
+            // reaching the camera hide everything behind them, and the sky and ceiling above
+            // the horizon up to their top
+            for (const hit of hits) {
+                if (hit.slope || hit.door || hit.correctDistance < 1) continue;
+                const wallTop = hit.wallZ + hit.wallHeight;
+                if (hit.wallZ <= 0 && wallTop >= cameraZ) {
+                    const projScale = this.viewDist / hit.correctDistance;
+                    const top = Math.max(0, Math.ceil(horizon + (cameraZ - wallTop) * projScale));
+                    const bottom = Math.min(H, Math.ceil(horizon + cameraZ * projScale));
+                    for (let sx = drawX; sx < drawX + this.stripWidth && sx < W; sx++) {
+                        if (hit.correctDistance < this.zBuffer[sx]) {
+                            this.zBuffer[sx] = hit.correctDistance;
+                            this.coverBottom[sx] = bottom;
                         }
-                        hits.push({ dist: crossDist, horiz: !crossVertical, type: prevWalls[level], texX, level });
+                        if (top < this.coverTop[sx]) this.coverTop[sx] = top;
                     }
-
-                    // For doors, keep prevWalls as 0 so walls behind them are detected
-                    // This allows the ray to register walls behind transparent doors
-                    prevWalls[level] = (isSolid && !Raycaster.isDoor(wall)) ? wall : 0;
                 }
-
-                // Break if we hit a solid wall at ground level and can't see over
-                // Continue past all doors (open or closed) to render walls behind transparent parts
-                const groundWall = this.raycaster.cellAt(cx, cy, 0);
-                const groundSolid = groundWall > 0 && !Raycaster.isDoor(groundWall);
-                if (groundSolid && !canSeeOverWalls) break;
             }
 
             // Sort hits by distance (far to near) like the original C++ code
             // Far walls render first, then near walls render on top
-            // This allows transparent door pixels to show walls behind
-            hits.sort((a, b) => {
-                if (a.dist !== b.dist) return b.dist - a.dist; // Far to near
-                return (b.level || 0) - (a.level || 0); // Higher levels first
-            });
+            hits.sort(sortRayHits);
+            stripHits[strip] = hits;
+        }
+
+        // Collect all door hits for rendering after the other geometry
+        const allDoorHits = [];
+
+        for (let strip = 0; strip < this.numRays; strip++) {
+            const hits = stripHits[strip];
 
             // DEBUG: Log hits for center strip (only when DEBUG_MODE is true)
             if (this.DEBUG_MODE && strip === Math.floor(this.numRays / 2) && hits.length > 0 && this.frameCount % 60 === 0) {
-                const debugHits = hits.map(h => `L${h.level}@${h.dist.toFixed(0)}`).join(', ');
+                const debugHits = hits.map(h => `L${h.level}@${h.distance.toFixed(0)}`).join(', ');
                 console.log(`Center ray hits: ${debugHits}`);
             }
 
-            // Collect door hits for second pass (rendered after sprites)
+            // Collect door hits for second pass
             const doorHits = [];
 
             // PASS 1: Process non-door hits from far to near (painter's algorithm)
             // Far walls render first, then near walls overwrite them
             for (const hit of hits) {
-                const hitIsDoor = Raycaster.isDoor(hit.type);
-
-                // Defer door rendering to after sprites
-                if (hitIsDoor) {
-                    doorHits.push({ hit, strip, drawX, stripAngle });
+                // Slope surfaces are drawn by the slope pass, their side faces here
+                if (hit.slope) {
+                    if (this.RENDER_SLOPES && !hit.backFace && hit.wallHeight > 0) {
+                        this.drawWallFace(hit, this.SLOPE_WALL_TYPE, horizon, cameraZ);
+                    }
                     continue;
                 }
 
-                const correctDist = hit.dist * Math.cos(stripAngle);
-                const projScale = this.viewDist / correctDist;
-
-                // Wall position based on level (level 0 = ground, level 1 = upper, etc.)
-                const level = hit.level || 0;
-                const levelBottom = level * this.TILE_SIZE;
-                const levelTop = (level + 1) * this.TILE_SIZE;
-                const wallBottom = horizon + (cameraZ - levelBottom) * projScale;
-                const wallTop = horizon + (cameraZ - levelTop) * projScale;
-
-                // Clamp to screen bounds
-                const yStart = Math.max(0, Math.floor(wallTop));
-                const yEnd = Math.min(H, Math.ceil(wallBottom));
-
-                // Skip walls that are entirely off-screen
-                if (yEnd <= 0 || yStart >= H) continue;
-
-                const drawYStart = yStart;
-                const drawYEnd = yEnd;
-
-                // Store z-buffer for sprites
-                if (drawYEnd >= horizon) {
-                    for (let sx = drawX; sx < drawX + this.stripWidth && sx < W; sx++) {
-                        if (correctDist < this.zBuffer[sx]) {
-                            this.zBuffer[sx] = correctDist;
-                        }
-                    }
+                // Defer door panels to pass 2 (door cell hits only mark the doorway)
+                if (hit.door) {
+                    if (hit.thinWall) doorHits.push(hit);
+                    continue;
                 }
 
-                // Get texture coordinates
-                const tex = hit.horiz ? this.wallsImageDark : this.wallsImage;
-                let tileTexX = Math.floor(hit.texX / this.TILE_SIZE * this.TEXTURE_SIZE);
-                if (tileTexX >= this.TEXTURE_SIZE) tileTexX = this.TEXTURE_SIZE - 1;
-
-                const wallIndex = (hit.type - 1) % 4;
-                const srcX = tileTexX;
-                const srcY = wallIndex * this.TEXTURE_SIZE;
-                const srcH = this.TEXTURE_SIZE;
-
-                // Calculate source Y for partial wall drawing
-                const wallHeight = wallBottom - wallTop;
-                const srcYOffset = ((drawYStart - wallTop) / wallHeight) * srcH;
-                const srcYEndCalc = ((drawYEnd - wallTop) / wallHeight) * srcH;
-                const srcDrawH = srcYEndCalc - srcYOffset;
-
-                // Draw wall strip
-                if (srcDrawH > 0 && drawYEnd > drawYStart) {
-                    ctx.drawImage(
-                        tex,
-                        srcX, srcY + srcYOffset, 1, srcDrawH,
-                        drawX, drawYStart, this.stripWidth, drawYEnd - drawYStart
-                    );
-
-                    // Distance shading
-                    const shade = Math.min(correctDist / (this.TILE_SIZE * 10), 0.6);
-                    if (shade > 0.05) {
-                        ctx.fillStyle = `rgba(0,0,0,${shade})`;
-                        ctx.fillRect(drawX, drawYStart, this.stripWidth, drawYEnd - drawYStart);
-                    }
+                const correctDist = hit.correctDistance;
 
-                    // Record wall segment for door clipping
-                    wallSegments[strip].push({ dist: correctDist, yStart: drawYStart, yEnd: drawYEnd });
+                // Custom height cells and free-form solid shapes draw their own top and underside
+                const hasCaps = hit.thinWall ? !!hit.thinWall.thickWall
+                    : hit.level === 0 && !!this.raycaster.cellHeights[hit.wallX + hit.wallY * this.level.width];
+                if (hasCaps && !hit.backFace) this.drawWallCaps(hit, horizon, cameraZ);
+                if (correctDist < 1) continue;
 
-                }
+                this.drawWallFace(hit, hit.wallType, horizon, cameraZ);
             }
 
             // Store door hits for pass 2
             allDoorHits.push(...doorHits);
         }
 
+        // Write the walls now, so the passes below skip the pixels they hide
+        this.drawColumns();
+
         // === WALL TOP RENDERING (horizontal scanlines, like floor) ===
         // Only render if feature is enabled and player is high enough to see wall tops
-        const wallTopHeight = this.TILE_SIZE; // Height of level 0 wall tops
-        if (this.RENDER_WALL_TOPS && cameraZ > wallTopHeight) {
-            const startRow = Math.max(0, Math.floor(horizon) + 1);
-            const endRow = H;
-
-            if (this.ceilingTexData) {
-                // === TEXTURED WALL TOPS (offscreen canvas + drawImage for proper alpha compositing) ===
-                const texData = this.ceilingTexData;
-                const texW = this.ceilingTexWidth;
-                const texH = this.ceilingTexHeight;
-
-                // Create or reuse offscreen canvas for wall tops
-                const bufferHeight = endRow - startRow;
-                if (!this.wallTopCanvas || this.wallTopCanvas.width !== W || this.wallTopCanvas.height !== bufferHeight) {
-                    this.wallTopCanvas = document.createElement('canvas');
-                    this.wallTopCanvas.width = W;
-                    this.wallTopCanvas.height = bufferHeight;
-                    this.wallTopCtx = this.wallTopCanvas.getContext('2d');
-                }
-
-                // Get ImageData from offscreen canvas
-                const imgData = this.wallTopCtx.createImageData(W, bufferHeight);
-                const pixels = imgData.data;
-                // pixels are already initialized to 0 (transparent black)
-
-                for (let screenY = startRow; screenY < endRow; screenY++) {
-                    const rowDist = (cameraZ - wallTopHeight) * this.viewDist / (screenY - horizon);
-                    if (rowDist <= 0 || rowDist > this.TILE_SIZE * 15) continue;
-
-                    // Distance shading factor
-                    const shade = Math.min(rowDist / (this.TILE_SIZE * 8), 0.7);
-                    const shadeMult = 1 - shade;
-
-                    // Buffer row offset
-                    const bufferY = screenY - startRow;
-                    const rowOffset = bufferY * W * 4;
-
-                    // Process every stripWidth pixels for performance (halves calculations)
-                    for (let screenX = 0; screenX < W; screenX += this.stripWidth) {
-                        const rayOffset = (W / 2 - screenX) / this.viewDist;
-                        const rayAngle = this.player.rot + Math.atan(rayOffset);
-                        // Fish-eye correction
-                        const cosAngle = Math.cos(rayAngle - this.player.rot);
-                        const correctedDist = rowDist / cosAngle;
-                        const worldX = this.player.x + correctedDist * Math.cos(rayAngle);
-                        const worldY = this.player.y - correctedDist * Math.sin(rayAngle);
-                        const cellX = Math.floor(worldX / this.TILE_SIZE);
-                        const cellY = Math.floor(worldY / this.TILE_SIZE);
-
-                        if (cellX >= 0 && cellX < MAP_WIDTH && cellY >= 0 && cellY < MAP_HEIGHT) {
-                            const wallType = this.raycaster.cellAt(cellX, cellY, 0);
-                            const wallAbove = this.raycaster.cellAt(cellX, cellY, 1);
-                            // Only render wall top if there's a wall here AND no wall directly above
-                            if (wallType > 0 && !Raycaster.isDoor(wallType) && wallAbove === 0) {
-                                // Get wall top style from map layer (with safety check)
-                                const wallTopStyle = g_map_walltops[cellY]?.[cellX] ?? 0;
-                                let r, g, b;
-
-                                if (wallTopStyle < 0) {
-                                    // Solid color mode: negative values map to color palette
-                                    const colorIndex = (-wallTopStyle) - 1;
-                                    const color = this.wallTopSolidColors[colorIndex] || this.wallTopSolidColors[0];
-                                    r = color[0];
-                                    g = color[1];
-                                    b = color[2];
-                                } else {
-                                    // Texture mode: 0 = default texture, 1+ = additional textures (future)
-                                    // Calculate texture UV from world position
-                                    let texU = Math.floor(((worldX % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE);
-                                    let texV = Math.floor(((worldY % this.TILE_SIZE) + this.TILE_SIZE) % this.TILE_SIZE);
-
-                                    // Scale UV to texture size (TILE_SIZE -> texW/texH)
-                                    texU = Math.floor(texU * texW / this.TILE_SIZE) % texW;
-                                    texV = Math.floor(texV * texH / this.TILE_SIZE) % texH;
-
-                                    // Sample texture pixel
-                                    const texOffset = (texV * texW + texU) * 4;
-                                    r = texData[texOffset];
-                                    g = texData[texOffset + 1];
-                                    b = texData[texOffset + 2];
-                                }
-
-                                // Apply distance shading and write stripWidth pixels at once
-                                const shadedR = Math.floor(r * shadeMult);
-                                const shadedG = Math.floor(g * shadeMult);
-                                const shadedB = Math.floor(b * shadeMult);
-
-                                for (let sx = 0; sx < this.stripWidth && screenX + sx < W; sx++) {
-                                    const pixelOffset = rowOffset + (screenX + sx) * 4;
-                                    pixels[pixelOffset] = shadedR;
-                                    pixels[pixelOffset + 1] = shadedG;
-                                    pixels[pixelOffset + 2] = shadedB;
-                                    pixels[pixelOffset + 3] = 255;
-                                }
-                            }
-                        }
-                    }
-                }
-
-                // Put ImageData to offscreen canvas, then drawImage to main canvas
-                // drawImage respects alpha, so transparent pixels won't overwrite walls/floor
-                this.wallTopCtx.putImageData(imgData, 0, 0);
-                ctx.drawImage(this.wallTopCanvas, 0, startRow);
-            }
+        if (this.RENDER_WALL_TOPS && cameraZ > this.TILE_SIZE && this.ceilingTexData) {
+            this.drawWallTops(horizon, cameraZ, stripHits);
         }
 
         // === SLOPE SURFACE RENDERING (column-based) ===
         // Draw each slope point from its height down to ground level at that distance
         if (this.RENDER_SLOPES) {
             const slopeBaseR = 140, slopeBaseG = 100, slopeBaseB = 60;
-            const maxDist = this.TILE_SIZE * 50;  // Match wall rendering distance
+            const slopeBase = packRGB(slopeBaseR, slopeBaseG, slopeBaseB);
+            const maxDist = Math.min(this.TILE_SIZE * 50, this.viewLimit);
             const stepSize = 4;
 
-            for (let screenX = 0; screenX < W; screenX += this.stripWidth) {
+            for (let strip = 0; strip < this.numRays; strip++) {
+                const ranges = slopeRanges[strip];
+                if (ranges.length === 0) continue;
+
+                const screenX = strip * this.stripWidth;
                 const rayOffset = (W / 2 - screenX) / this.viewDist;
                 const rayAngle = this.player.rot + Math.atan(rayOffset);
                 const cosAngle = Math.cos(rayAngle - this.player.rot);
@@ -859,45 +1782,46 @@ class Game {
 
                 // Track the highest point drawn so far (smallest screenY) to avoid overdraw
                 let minScreenYDrawn = H;
-                // Track slope coverage for this column (for door clipping + z-buffer)
-                let slopeMinY = H, slopeMaxY = 0;
+                // Nearest slope point in this column (for the z-buffer)
                 let slopeNearDist = Infinity;
 
-                for (let dist = stepSize; dist < maxDist; dist += stepSize) {
-                    const worldX = this.player.x + rayDirX * dist;
-                    const worldY = this.player.y + rayDirY * dist;
-                    const correctDist = dist * cosAngle;
+                // Only step through the parts of the ray that cross slope cells
+                rangeLoop:
+                for (const range of ranges) {
+                    const firstStep = Math.max(stepSize, Math.ceil(range.start / stepSize) * stepSize);
+                    const lastStep = Math.min(range.end, maxDist);
 
-                    // Z-buffer check
-                    if (correctDist >= this.zBuffer[screenX]) break;
+                    for (let dist = firstStep; dist < lastStep; dist += stepSize) {
+                        const worldX = this.player.x + rayDirX * dist;
+                        const worldY = this.player.y + rayDirY * dist;
+                        const correctDist = dist * cosAngle;
 
-                    const slopeHeight = getHeightAt(worldX, worldY);
+                        // Z-buffer check
+                        if (correctDist >= this.zBuffer[screenX]) break rangeLoop;
 
-                    if (slopeHeight > 0) {
-                        const projScale = this.viewDist / correctDist;
-                        const slopeScreenY = Math.floor(horizon + (cameraZ - slopeHeight) * projScale);
-                        const groundScreenY = Math.floor(horizon + cameraZ * projScale);
+                        const slopeHeight = this.level.heightAt(worldX, worldY);
 
-                        // Draw from slope surface to ground (or to minScreenYDrawn to avoid overdraw)
-                        const drawTop = Math.max(0, slopeScreenY);
-                        const drawBottom = Math.min(minScreenYDrawn, groundScreenY, H);
+                        if (slopeHeight > 0) {
+                            const projScale = this.viewDist / correctDist;
+                            const slopeScreenY = Math.floor(horizon + (cameraZ - slopeHeight) * projScale);
+                            const groundScreenY = Math.floor(horizon + cameraZ * projScale);
 
-                        if (drawTop < drawBottom && drawTop < minScreenYDrawn) {
-                            const shade = Math.min(correctDist / (this.TILE_SIZE * 8), 0.7);
-                            const shadeMult = 1 - shade;
-                            ctx.fillStyle = `rgb(${Math.floor(slopeBaseR * shadeMult)},${Math.floor(slopeBaseG * shadeMult)},${Math.floor(slopeBaseB * shadeMult)})`;
-                            ctx.fillRect(screenX, drawTop, this.stripWidth, drawBottom - drawTop);
-                            minScreenYDrawn = Math.min(minScreenYDrawn, drawTop);
+                            // Draw from slope surface to ground (or to minScreenYDrawn to avoid overdraw)
+                            const drawTop = Math.max(0, slopeScreenY);
+                            const drawBottom = Math.min(minScreenYDrawn, groundScreenY, H);
 
-                            // Track slope screen coverage and nearest distance
-                            if (drawTop < slopeMinY) slopeMinY = drawTop;
-                            if (drawBottom > slopeMaxY) slopeMaxY = drawBottom;
-                            if (correctDist < slopeNearDist) slopeNearDist = correctDist;
+                            if (drawTop < drawBottom && drawTop < minScreenYDrawn) {
+                                const color = lightColor(slopeBase, this.setLight(this.surfaceLight, correctDist, worldX, worldY));
+                                this.fillColumn(color, screenX, this.stripWidth, drawTop, drawBottom, correctDist);
+                                minScreenYDrawn = Math.min(minScreenYDrawn, drawTop);
+
+                                if (correctDist < slopeNearDist) slopeNearDist = correctDist;
+                            }
                         }
                     }
                 }
 
-                // Update z-buffer so sprites are occluded by slopes
+                // Update z-buffer so walls further along are not marched through
                 if (slopeNearDist < this.zBuffer[screenX]) {
                     for (let sx = screenX; sx < screenX + this.stripWidth && sx < W; sx++) {
                         if (slopeNearDist < this.zBuffer[sx]) {
@@ -905,98 +1829,55 @@ class Game {
                         }
                     }
                 }
-
-                // Add slope segment for door clipping
-                if (slopeMinY < slopeMaxY) {
-                    const strip = Math.floor(screenX / this.stripWidth);
-                    if (strip >= 0 && strip < wallSegments.length) {
-                        wallSegments[strip].push({ dist: slopeNearDist, yStart: slopeMinY, yEnd: slopeMaxY });
-                    }
-                }
             }
         }
 
-        // Draw sprites (after walls, before doors)
-        this.drawSprites(ctx);
-
-        // PASS 2: Render doors on top of sprites
-        // This allows door's opaque parts to cover sprites, while transparent parts show through
-        // Clip doors to only render portions not occluded by closer walls
-        for (const { hit, strip, drawX, stripAngle } of allDoorHits) {
-            const correctDist = hit.dist * Math.cos(stripAngle);
+        // PASS 2: Render doors, clipped per pixel against nearer walls, wall tops and slopes
+        // Only opaque door texels write depth, so sprites behind show through the gate bars
+        for (const hit of allDoorHits) {
+            const strip = hit.strip;
+            const drawX = strip * this.stripWidth;
+            const correctDist = hit.correctDistance;
+            if (correctDist < 1) continue;
             const projScale = this.viewDist / correctDist;
 
-            const level = hit.level || 0;
+            const level = hit.level;
             const levelBottom = level * this.TILE_SIZE;
             const levelTop = (level + 1) * this.TILE_SIZE;
             const doorBottom = horizon + (cameraZ - levelBottom) * projScale;
             const doorTop = horizon + (cameraZ - levelTop) * projScale;
 
-            let yStart = Math.max(0, Math.floor(doorTop));
-            let yEnd = Math.min(H, Math.ceil(doorBottom));
-
-            if (yEnd <= 0 || yStart >= H) continue;
-
-            // Clip door against closer wall segments
-            // Find the closest wall that overlaps and clip the door to the visible region
-            for (const seg of wallSegments[strip]) {
-                if (seg.dist < correctDist) {
-                    // Check for overlap
-                    if (seg.yStart < yEnd && seg.yEnd > yStart) {
-                        // Wall overlaps with door - clip the door
-                        if (seg.yStart <= yStart && seg.yEnd >= yEnd) {
-                            // Wall fully covers door - skip entirely
-                            yStart = yEnd;
-                            break;
-                        } else if (seg.yStart <= yStart) {
-                            // Wall covers top portion - render bottom part only
-                            yStart = Math.max(yStart, seg.yEnd);
-                        } else if (seg.yEnd >= yEnd) {
-                            // Wall covers bottom portion - render top part only
-                            yEnd = Math.min(yEnd, seg.yStart);
-                        }
-                        // Note: if wall is in the middle, we'd need two draws
-                        // For simplicity, we just render the larger visible region
-                    }
-                }
-            }
+            const yStart = Math.max(0, Math.floor(doorTop));
+            const yEnd = Math.min(H, Math.ceil(doorBottom));
 
             if (yEnd <= yStart) continue;
 
-            const drawYStart = yStart;
-            const drawYEnd = yEnd;
-
-            let tileTexX = Math.floor(hit.texX / this.TILE_SIZE * this.TEXTURE_SIZE);
+            const tex = this.gatesTex;
+            let tileTexX = Math.floor(hit.tileX / this.TILE_SIZE * this.TEXTURE_SIZE);
             if (tileTexX >= this.TEXTURE_SIZE) tileTexX = this.TEXTURE_SIZE - 1;
-
-            const tex = this.gatesImage;
             const srcX = tileTexX % tex.width;
-            const srcY = 0;
-            const srcH = tex.height;
-
-            const doorHeight = doorBottom - doorTop;
-            const srcYOffset = ((drawYStart - doorTop) / doorHeight) * srcH;
-            const srcYEndCalc = ((drawYEnd - doorTop) / doorHeight) * srcH;
-            const srcDrawH = srcYEndCalc - srcYOffset;
-
-            if (srcDrawH > 0 && drawYEnd > drawYStart) {
-                ctx.drawImage(
-                    tex,
-                    srcX, srcY + srcYOffset, 1, srcDrawH,
-                    drawX, drawYStart, this.stripWidth, drawYEnd - drawYStart
-                );
-
-                // Distance shading for doors
-                const shade = Math.min(correctDist / (this.TILE_SIZE * 10), 0.6);
-                if (shade > 0.05) {
-                    ctx.fillStyle = `rgba(0,0,0,${shade})`;
-                    ctx.fillRect(drawX, drawYStart, this.stripWidth, drawYEnd - drawYStart);
-                }
-            }
+
+            // Transparent texels are skipped so walls and sprites show through the gate bars
+            const light = this.setLight(this.surfaceLight, correctDist, hit.x, hit.y);
+            this.drawTexturedColumn(tex, srcX, 0, tex.height,
+                drawX, this.stripWidth, doorTop, doorBottom, yStart, yEnd, light, correctDist);
         }
 
+        // Then sprites, clipped per pixel against everything above
+        this.drawSprites(horizon, cameraZ);
+        this.drawColumns();
+
+        // Sky, base floor color, textured floor and indoor ceiling in every pixel nothing
+        // above was drawn in, so the framebuffer needs no separate clear
+        this.drawBackground(horizon, cameraZ);
+
+        // Present the finished frame, with the weapon over it
+        this.presentFrame();
+        if (!this.player.dead) this.player.weapons[this.player.weapon].draw(this.ctx, W, H, this.player.bob);
+
         // Minimap
-        if (this.showMinimap) this.drawMinimap();
+        if (this.editor.active) this.editor.draw();
+        else if (this.showMinimap) this.drawMinimap();
 
         // FPS
         this.frameCount++;
@@ -1008,74 +1889,766 @@ class Game {
             document.getElementById('fps').textContent = `FPS: ${this.fps}`;
         }
         document.getElementById('position').textContent = `X:${Math.floor(this.player.x)} Y:${Math.floor(this.player.y)}`;
+        this.updateHud();
     }
 
-    drawSprites(ctx) {
+    // Queue one textured column for the framebuffer (written by drawColumns).
+    // Texture column srcX, rows srcY..srcY+srcH, is stretched over screen rows top..bottom;
+    // only rows yStart..yEnd are written. Texels with alpha 0 are skipped (doors, sprites).
+    // With a depth, pixels already holding something nearer in depthBuffer are skipped too,
+    // and the written pixels take that depth. A fill color replaces every texel (hit flash).
+    // Texels are lit with light (see setLight).
+    drawTexturedColumn(tex, srcX, srcY, srcH, drawX, width, top, bottom, yStart, yEnd, light, depth = -1, fill = 0) {
+        const stride = this.COLUMN_STRIDE;
+        let i = this.columnCount * stride;
+        if (i + stride > this.columnValues.length) {
+            const values = new Float64Array(this.columnValues.length * 2);
+            values.set(this.columnValues);
+            this.columnValues = values;
+        }
+        const values = this.columnValues;
+        this.columnTextures[this.columnCount++] = tex;
+        values[i++] = srcX;
+        values[i++] = srcY;
+        values[i++] = srcY + srcH - 1;
+        values[i++] = srcH / (bottom - top);
+        values[i++] = top;
+        values[i++] = drawX;
+        values[i++] = Math.min(drawX + width, this.displayWidth);
+        values[i++] = yStart;
+        values[i++] = yEnd;
+        values[i++] = depth;
+        values[i++] = fill;
+        values[i++] = fill || light.neutral ? 0 : 1;
+        values[i++] = light.mulR;
+        values[i++] = light.mulG;
+        values[i++] = light.mulB;
+        values[i++] = light.addR;
+        values[i++] = light.addG;
+        values[i] = light.addB;
+    }
+
+    // Write the queued columns in reverse queue order: the walls of a strip (queued far to
+    // near) are written nearest first, so the depth test skips the pixels they hide before
+    // looking up a texel
+    drawColumns() {
+        for (let c = this.columnCount - 1; c >= 0; c--) {
+            this.drawColumn(this.columnTextures[c], c * this.COLUMN_STRIDE);
+        }
+        this.columnCount = 0;
+    }
+
+    // Write one queued column: texture tex, its values from offset i in columnValues
+    drawColumn(tex, i) {
+        const fb = this.frameBuffer;
+        const depthBuf = this.depthBuffer;
+        const H = this.displayHeight;
+        const values = this.columnValues;
+
+        // Integers are read back with | 0 so the loops below stay in integer math
+        const yStart = values[i + 7] | 0;
+        const yEnd = values[i + 8] | 0;
+        if (yEnd <= yStart) return;
+
+        const data = tex.data;
+        const texW = tex.width;
+        const srcX = values[i] | 0;
+        const maxTexY = values[i + 2] | 0;
+        const step = values[i + 3];
+        const drawX = values[i + 5] | 0;
+        const xEnd = values[i + 6] | 0;
+        const depth = values[i + 9];
+        const tested = depth >= 0;
+        const fill = values[i + 10] | 0;
+        const shaded = values[i + 11] === 1;
+        const mulR = values[i + 12] | 0, mulG = values[i + 13] | 0, mulB = values[i + 14] | 0;
+        const addR = values[i + 15] | 0, addG = values[i + 16] | 0, addB = values[i + 17] | 0;
+        // Texture row at screen row 0 (row y is at texTop + y * step)
+        const texTop = values[i + 1] - values[i + 4] * step;
+
+        for (let x = drawX; x < xEnd; x++) {
+            // A texel covers several rows up close: it is looked up and lit once for all of them
+            let lastTexY = -1;
+            let color = 0;
+            for (let y = yStart, offset = x * H + yStart; y < yEnd; y++, offset++) {
+                if (tested && depth >= depthBuf[offset]) continue;
+                let texY = Math.floor(texTop + y * step) | 0;
+                if (texY > maxTexY) texY = maxTexY;
+                if (texY !== lastTexY) {
+                    lastTexY = texY;
+                    color = this.shadeTexel(data[texY * texW + srcX] | 0, fill, shaded, mulR, mulG, mulB, addR, addG, addB);
+                }
+                if (color === 0) continue;
+                if (tested) depthBuf[offset] = depth;
+                fb[offset] = color;
+            }
+        }
+    }
+
+    // A queued column's texel as drawn: 0 where transparent, else the fill color or the lit texel
+    shadeTexel(color, fill, shaded, mulR, mulG, mulB, addR, addG, addB) {
+        if ((color >>> 24) === 0) return 0;
+        if (fill) return fill;
+        if (!shaded) return color;
+        const r = (((color & 0xff) * mulR) >>> 8) + addR;
+        const g = ((((color >>> 8) & 0xff) * mulG) >>> 8) + addG;
+        const b = ((((color >>> 16) & 0xff) * mulB) >>> 8) + addB;
+        return 0xff000000 | (b << 16) | (g << 8) | r;
+    }
+
+    // Wall face for a ray hit: wall atlas tile wallType from hit.wallZ up to
+    // hit.wallZ + hit.wallHeight, one piece per tile of height so short, tall and
+    // floating walls keep the texture scale of a regular wall. Also draws the side faces
+    // of ramps (slope entry hits), which form a triangle or trapezoid seen from the side.
+    drawWallFace(hit, wallType, horizon, cameraZ) {
+        const TS = this.TILE_SIZE;
+        const H = this.displayHeight;
+        const correctDist = hit.correctDistance;
+        if (correctDist <= 0) return;
+        const projScale = this.viewDist / correctDist;
+        const drawX = hit.strip * this.stripWidth;
+
+        // Get texture coordinates (atlas tiles are stacked vertically, 4 per atlas)
+        const tex = hit.horizontal ? this.wallTexDark : this.wallTex;
+        const tileSize = Math.floor(tex.height / 4);
+        let tileTexX = Math.floor(hit.tileX / TS * tileSize);
+        if (tileTexX >= tileSize) tileTexX = tileSize - 1;
+        const tileY = ((wallType - 1) % 4) * tileSize;
+
+        const light = this.setLight(this.surfaceLight, correctDist, hit.x, hit.y);
+
+        const faceBottom = hit.wallZ;
+        const faceTop = hit.wallZ + hit.wallHeight;
+        for (let z0 = Math.floor(faceBottom / TS) * TS; z0 < faceTop; z0 += TS) {
+            const segBottom = Math.max(faceBottom, z0);
+            const segTop = Math.min(faceTop, z0 + TS);
+
+            // Texture rows covering this piece of the tile (row 0 is the top of the tile)
+            const srcY = Math.min(Math.floor((z0 + TS - segTop) / TS * tileSize), tileSize - 1);
+            const srcH = Math.max(1, Math.min(Math.round((segTop - segBottom) / TS * tileSize), tileSize - srcY));
+
+            const top = horizon + (cameraZ - segTop) * projScale;
+            const bottom = horizon + (cameraZ - segBottom) * projScale;
+            const yStart = Math.max(0, Math.floor(top));
+            const yEnd = Math.min(H, Math.ceil(bottom));
+            if (yEnd <= yStart) continue;
+
+            this.drawTexturedColumn(tex, tileTexX, tileY + srcY, srcH,
+                drawX, this.stripWidth, top, bottom, yStart, yEnd, light, correctDist);
+        }
+    }
+
+    // Tops of the level 0 walls, seen from above: each row below the horizon projected onto
+    // the plane of the tops, per strip down to the row of its nearest hit in stripHits
+    drawWallTops(horizon, cameraZ, stripHits) {
+        const fb = this.frameBuffer;
+        const W = this.displayWidth;
+        const H = this.displayHeight;
+        const wallTopHeight = this.TILE_SIZE; // Height of level 0 wall tops
+        const TS = this.TILE_SIZE;
+        const depth = this.depthBuffer;
+        const mapWidth = this.level.width;
+        const mapHeight = this.level.height;
+        const walltops = this.level.layers.walltops;
+        const bands = this.lightBands;
+        const lit = this.lightMap.lit;
+        const stripWidth = this.stripWidth;
+        const texData = this.ceilingTexData;
+        const texW = this.ceilingTexWidth;
+        const scaleU = texW / TS;
+        const scaleV = this.ceilingTexHeight / TS;
+
+        // Cells showing a wall top: a wall here AND no wall directly above
+        // (custom height cells draw their own tops, see drawWallCaps)
+        const tops = this.wallTopCells;
+        const grid = this.raycaster.grids[0];
+        const gridAbove = this.raycaster.grids[1];
+        const cellHeights = this.raycaster.cellHeights;
+        for (let cell = 0; cell < mapWidth * mapHeight; cell++) {
+            const wallType = grid[cell];
+            tops[cell] = wallType > 0 && !Raycaster.isDoor(wallType) && gridAbove[cell] === 0 && !cellHeights[cell] ? 1 : 0;
+        }
+
+        // Distance and light band of each row below the horizon, down from the first one
+        // within 15 tiles (and the fog)
+        const maxDist = Math.min(TS * 15, this.viewLimit);
+        const rowDist = this.rowDist;
+        const rowBand = this.rowBand;
+        let startRow = H;
+        for (let screenY = H - 1; screenY >= 0 && screenY > horizon; screenY--) {
+            const dist = (cameraZ - wallTopHeight) * this.viewDist / (screenY - horizon);
+            if (dist > maxDist) break;
+            rowDist[screenY] = dist;
+            rowBand[screenY] = this.lightBand(dist);
+            startRow = screenY;
+        }
+
+        // A wall top only shows past the nearest hit of the ray, unless the player is
+        // right above one
+        const playerX = this.player.x;
+        const playerY = this.player.y;
+        const playerCellX = (playerX / TS) | 0;
+        const playerCellY = (playerY / TS) | 0;
+        const overTop = playerCellX >= 0 && playerCellX < mapWidth && playerCellY >= 0 && playerCellY < mapHeight
+            && tops[playerCellX + playerCellY * mapWidth] === 1;
+
+        // Then each strip's column down from there
+        for (let strip = 0; strip < this.numRays; strip++) {
+            let endRow = H;
+            if (!overTop) {
+                let nearest = Infinity;
+                for (const hit of stripHits[strip]) {
+                    if (hit.correctDistance < nearest) nearest = hit.correctDistance;
+                }
+                if (nearest > 0 && nearest < Infinity) {
+                    endRow = Math.min(H, Math.ceil(horizon + (cameraZ - wallTopHeight) * this.viewDist / nearest) + 1);
+                }
+            }
+
+            // Fish-eye correction is folded into the precomputed ray direction
+            const rayX = this.rayDirX[strip];
+            const rayY = this.rayDirY[strip];
+            const screenX = strip * stripWidth;
+            const xEnd = Math.min(screenX + stripWidth, W);
+            for (let screenY = startRow; screenY < endRow; screenY++) {
+                // Everything drawn so far covers the whole strip alike
+                const dist = rowDist[screenY];
+                if (dist >= depth[screenX * H + screenY]) continue;
+                const worldX = playerX + dist * rayX;
+                const worldY = playerY + dist * rayY;
+                if (worldX < 0 || worldY < 0) continue;
+                const cellX = (worldX / TS) | 0;
+                const cellY = (worldY / TS) | 0;
+                if (cellX >= mapWidth || cellY >= mapHeight) continue;
+                const cell = cellX + cellY * mapWidth;
+                if (tops[cell] === 0) {
+                    // No top here: skip on to the first row past the cell's near edge
+                    const edgeX = rayX > 0 ? (cellX * TS - playerX) / rayX
+                        : rayX < 0 ? ((cellX + 1) * TS - playerX) / rayX : 0;
+                    const edgeY = rayY > 0 ? (cellY * TS - playerY) / rayY
+                        : rayY < 0 ? ((cellY + 1) * TS - playerY) / rayY : 0;
+                    const edge = Math.max(edgeX, edgeY);
+                    while (screenY + 1 < endRow && rowDist[screenY + 1] > edge) screenY++;
+                    continue;
+                }
+
+                // Style as in g_map_walltops: negative = solid palette color, otherwise texture
+                const style = walltops[cellY][cellX];
+                let color = style < 0 ? this.wallTopColor(style, worldX, worldY)
+                    : texData[((worldY - cellY * TS) * scaleV | 0) * texW + ((worldX - cellX * TS) * scaleU | 0)];
+
+                // Apply lighting and write stripWidth pixels at once,
+                // behind anything nearer already drawn in this pixel
+                const band = rowBand[screenY];
+                if (lit[cell] === 1) {
+                    color = this.lightPixel(color, band, worldX, worldY);
+                } else {
+                    const r = (((color & 0xff) * bands[band]) >>> 8) + bands[band + 3];
+                    const g = ((((color >>> 8) & 0xff) * bands[band + 1]) >>> 8) + bands[band + 4];
+                    const b = ((((color >>> 16) & 0xff) * bands[band + 2]) >>> 8) + bands[band + 5];
+                    color = 0xff000000 | (b << 16) | (g << 8) | r;
+                }
+                for (let sx = screenX; sx < xEnd; sx++) {
+                    const offset = sx * H + screenY;
+                    if (dist >= depth[offset]) continue;
+                    fb[offset] = color;
+                    depth[offset] = dist;
+                }
+            }
+        }
+    }
+
+    // Top (seen from above) or underside (seen from below) of a custom height cell or a
+    // thick wall, within one strip: the plane between the distances where the ray enters and
+    // leaves the cell, cast per pixel like the wall top pass
+    drawWallCaps(hit, horizon, cameraZ) {
+        const TS = this.TILE_SIZE;
+        const H = this.displayHeight;
+        const W = this.displayWidth;
+        const fb = this.frameBuffer;
+        const depth = this.depthBuffer;
+        const strip = hit.strip;
+        const nearDist = hit.correctDistance;
+        const farDist = hit.siblingCorrectDistance > nearDist ? hit.siblingCorrectDistance : nearDist + TS;
+        const style = hit.thinWall ? hit.thinWall.thickWall.ceilingTextureID : this.level.cellAt('walltops', hit.wallX, hit.wallY);
+
+        let planeZ;
+        if (cameraZ > hit.wallZ + hit.wallHeight) {
+            planeZ = hit.wallZ + hit.wallHeight;
+        } else if (cameraZ < hit.wallZ) {
+            planeZ = hit.wallZ;
+        } else {
+            return;
+        }
+
+        // Screen rows of the plane at the far and near edge of the cell
+        const heightDiff = cameraZ - planeZ;
+        const farY = horizon + heightDiff * this.viewDist / farDist;
+        const nearY = nearDist > 0 ? horizon + heightDiff * this.viewDist / nearDist : (heightDiff > 0 ? H : 0);
+        const yStart = Math.max(0, Math.floor(Math.min(farY, nearY)));
+        const yEnd = Math.min(H, Math.ceil(Math.max(farY, nearY)));
+
+        const screenX = strip * this.stripWidth;
+        const xEnd = Math.min(screenX + this.stripWidth, W);
+        for (let y = yStart; y < yEnd; y++) {
+            if (y === horizon) continue;
+            const rowDist = heightDiff * this.viewDist / (y - horizon);
+            if (rowDist < nearDist || rowDist > farDist) continue;
+
+            const worldX = this.player.x + rowDist * this.rayDirX[strip];
+            const worldY = this.player.y + rowDist * this.rayDirY[strip];
+            const color = lightColor(this.wallTopColor(style, worldX, worldY), this.setLight(this.surfaceLight, rowDist, worldX, worldY));
+
+            for (let x = screenX; x < xEnd; x++) {
+                const offset = x * H + y;
+                if (rowDist >= depth[offset]) continue;
+                fb[offset] = color;
+                depth[offset] = rowDist;
+            }
+        }
+    }
+
+    // Unshaded wall top color at a world position
+    // Style as in g_map_walltops: negative = solid palette color, otherwise texture
+    wallTopColor(wallTopStyle, worldX, worldY) {
+        if (wallTopStyle < 0) {
+            // Solid color mode: negative values map to color palette
+            const colorIndex = (-wallTopStyle) - 1;
+            const rgb = this.wallTopSolidColors[colorIndex] || this.wallTopSolidColors[0];
+            return packRGB(rgb[0], rgb[1], rgb[2]);
+        }
+
+        // Texture mode: 0 = default texture, 1+ = additional textures (future)
+        // Calculate texture UV from world position, scaled to texture size
+        const TS = this.TILE_SIZE;
+        const texW = this.ceilingTexWidth;
+        const texH = this.ceilingTexHeight;
+        const texU = Math.min(Math.floor((((worldX % TS) + TS) % TS) * texW / TS), texW - 1);
+        const texV = Math.min(Math.floor((((worldY % TS) + TS) % TS) * texH / TS), texH - 1);
+        return this.ceilingTexData[texV * texW + texU];
+    }
+
+    // Fill in light (see lightColor) for a surface dist away: the ambient tint of the time
+    // of day plus the light map at world x, y (when given), mixed toward the fog color the
+    // further away it is. Returns light.
+    setLight(light, dist, x = -1, y = -1) {
+        const bands = this.lightBands;
+        const band = this.lightBand(dist);
+        light.mulR = bands[band];
+        light.mulG = bands[band + 1];
+        light.mulB = bands[band + 2];
+        light.addR = bands[band + 3];
+        light.addG = bands[band + 4];
+        light.addB = bands[band + 5];
+        if (x >= 0 && this.lightMap.isLit(x, y)) {
+            const lit = this.lightMap.sampleAt(x, y);
+            const ambient = this.lighting.ambient;
+            const keep = bands[band + 6];
+            light.mulR = (Math.min(256, ambient[0] + lit.r) * keep) >> 8;
+            light.mulG = (Math.min(256, ambient[1] + lit.g) * keep) >> 8;
+            light.mulB = (Math.min(256, ambient[2] + lit.b) * keep) >> 8;
+        }
+        light.neutral = light.mulR === 256 && light.mulG === 256 && light.mulB === 256 && bands[band + 6] === 256;
+        return light;
+    }
+
+    // Packed color lit at world x, y where the light map lights it (see LightMap.isLit), in the
+    // light band at offset band: what setLight does, for the per-pixel passes
+    lightPixel(color, band, x, y) {
+        const bands = this.lightBands;
+        const lit = this.lightMap.sampleAt(x, y);
+        const ambient = this.lighting.ambient;
+        const keep = bands[band + 6];
+        const r = (((color & 0xff) * ((Math.min(256, ambient[0] + lit.r) * keep) >> 8)) >>> 8) + bands[band + 3];
+        const g = ((((color >>> 8) & 0xff) * ((Math.min(256, ambient[1] + lit.g) * keep) >> 8)) >>> 8) + bands[band + 4];
+        const b = ((((color >>> 16) & 0xff) * ((Math.min(256, ambient[2] + lit.b) * keep) >> 8)) >>> 8) + bands[band + 5];
+        return (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+    }
+
+    // Light for every band of distance up to the fog end, beyond which the fog no longer
+    // changes: ambient tint times the share not fogged (mul), fog color times the fogged
+    // share (add), and that unfogged share out of 256 (keep) for adding the light map
+    buildLightBands() {
+        const lighting = this.lighting;
+        const stride = this.LIGHT_BAND_STRIDE;
+        const count = Math.ceil(Math.max(lighting.fogStart, lighting.fogEnd) * this.TILE_SIZE / this.LIGHT_BAND_SIZE) + 1;
+        if (this.lightBands.length < count * stride) this.lightBands = new Int32Array(count * stride);
+        this.lightBandCount = count;
+
+        const bands = this.lightBands;
+        for (let band = 0; band < count; band++) {
+            const fog = this.fogAt(band * this.LIGHT_BAND_SIZE);
+            const keep = 1 - fog;
+            const i = band * stride;
+            for (let c = 0; c < 3; c++) {
+                bands[i + c] = Math.floor(lighting.ambient[c] * keep);
+                bands[i + 3 + c] = Math.floor(lighting.fog[c] * fog);
+            }
+            bands[i + 6] = Math.round(keep * 256);
+        }
+    }
+
+    // Offset in lightBands of the band a surface dist away falls in
+    lightBand(dist) {
+        const band = Math.min(Math.floor(dist / this.LIGHT_BAND_SIZE), this.lightBandCount - 1);
+        return (band > 0 ? band : 0) * this.LIGHT_BAND_STRIDE;
+    }
+
+    // Share of the fog color in a surface dist away (0 up to the fog start, fogDensity from its end)
+    fogAt(dist) {
+        const lighting = this.lighting;
+        const t = (dist / this.TILE_SIZE - lighting.fogStart) / Math.max(lighting.fogEnd - lighting.fogStart, 0.001);
+        return Math.max(0, Math.min(1, t)) * lighting.fogDensity;
+    }
+
+    // Fill screen rows yStart..yEnd of a column with a solid packed color (depth as above)
+    fillColumn(color, drawX, width, yStart, yEnd, depth = -1) {
+        const fb = this.frameBuffer;
+        const depthBuf = this.depthBuffer;
+        const H = this.displayHeight;
+        const xEnd = Math.min(drawX + width, this.displayWidth);
+        for (let x = drawX; x < xEnd; x++) {
+            for (let offset = x * H + yStart, end = x * H + yEnd; offset < end; offset++) {
+                if (depth >= 0) {
+                    if (depth >= depthBuf[offset]) continue;
+                    depthBuf[offset] = depth;
+                }
+                fb[offset] = color;
+            }
+        }
+    }
+
+    // === BACKGROUND: SKY + FLOOR / CEILING CASTING (per column, like the wall top pass) ===
+    // Drawn last, only in pixels still at depth Infinity: everything else writes its depth.
+    // Rows above the horizon show the sky, rows below get the base floor gradient.
+    // Each row below the horizon is then projected onto the ground plane (z = 0) and each
+    // row above it onto the ceiling plane (z = TILE_SIZE). The cell under every pixel picks
+    // its texture from the level's floor / ceiling layers. Ceiling value 0 keeps the sky visible.
+    drawBackground(horizon, cameraZ) {
+        const fb = this.frameBuffer;
+        const depth = this.depthBuffer;
+        const W = this.displayWidth;
+        const H = this.displayHeight;
+        const halfH = H / 2;
+        const TS = this.TILE_SIZE;
+        const invTS = 1 / TS;
+        const dirX = this.rayDirX;
+        const dirY = this.rayDirY;
+        const mapWidth = this.level.width;
+        const mapHeight = this.level.height;
+        const stripWidth = this.stripWidth;
+        const playerX = this.player.x;
+        const playerY = this.player.y;
+        const bands = this.lightBands;
+        const lit = this.lightMap.lit;
+        const coverTop = this.coverTop;
+        const coverBottom = this.coverBottom;
+        const rowDist = this.rowDist;
+        const rowBand = this.rowBand;
+        const rowSky = this.rowSky;
+        const rowSkyAdd = this.rowSkyAdd;
+        const rowColor = this.rowColor;
+        const floorCells = this.floorCells;
+        const ceilingCells = this.ceilingCells;
+
+        // Sky: fixed height (doesn't stretch with pitch), filled below it down to the horizon.
+        // By day the sky gradient of the time of day is blended over the night sky texture;
+        // opaque fog hides the sky behind the fog color.
+        const sky = this.skyTex;
+        const skyData = sky.data;
+        const skyW = sky.width;
+        const skyH = sky.height;
+        const lighting = this.lighting;
+        const skyBlend = lighting.skyBlend;
+        const skyMul = Math.floor((1 - skyBlend) * 256);
+        const fogColor = packRGB(lighting.fog[0], lighting.fog[1], lighting.fog[2]);
+        const opaqueFog = this.viewLimit < Infinity;
+        const light = this.surfaceLight;
+        const fixedSkyHeight = H * 0.95;
+        const visibleSkyHeight = Math.max(0, Math.min(fixedSkyHeight, horizon));
+
+        // Horizontal offset based on rotation (25% slower parallax, reversed direction)
+        let xOffset = -(this.player.rot / TWO_PI) * skyW * 0.75;
+        xOffset = ((xOffset % skyW) + skyW) % skyW;
+        const skyColumns = this.skyColumns;
+        for (let x = 0; x < W; x++) {
+            skyColumns[x] = Math.floor(xOffset + x * skyW / W) % skyW;
+        }
+
+        // Floor base gradient (#4a4035 at mid-screen to #2a2015 at the bottom)
+        const floorTop = [0x4a, 0x40, 0x35];
+        const floorBottom = [0x2a, 0x20, 0x15];
+
+        // The ceiling is only visible from below it
+        const ceilingVisible = this.RENDER_FLOOR && cameraZ < TS;
+
+        // What each row shows where no floor or ceiling texture does, and the plane it is on
+        for (let screenY = 0; screenY < H; screenY++) {
+            // Day sky gradient color for the row (top of the screen to the horizon)
+            const skyT = horizon > 0 ? Math.max(0, Math.min(1, screenY / horizon)) : 1;
+            const skyR = lighting.skyTop[0] + (lighting.skyHorizon[0] - lighting.skyTop[0]) * skyT;
+            const skyG = lighting.skyTop[1] + (lighting.skyHorizon[1] - lighting.skyTop[1]) * skyT;
+            const skyB = lighting.skyTop[2] + (lighting.skyHorizon[2] - lighting.skyTop[2]) * skyT;
+
+            // Base color for the row
+            rowSky[screenY] = -1;
+            if (screenY < horizon && opaqueFog) {
+                rowColor[screenY] = fogColor;
+            } else if (screenY < visibleSkyHeight && skyBlend < 1) {
+                rowSky[screenY] = Math.min(Math.floor(screenY / fixedSkyHeight * skyH), skyH - 1);
+                rowSkyAdd[screenY * 3] = Math.floor(skyR * skyBlend);
+                rowSkyAdd[screenY * 3 + 1] = Math.floor(skyG * skyBlend);
+                rowSkyAdd[screenY * 3 + 2] = Math.floor(skyB * skyBlend);
+            } else {
+                let color = packRGB(Math.round(skyR), Math.round(skyG), Math.round(skyB));
+                if (screenY >= horizon) {
+                    // Fogged like the ground at this row's distance
+                    const t = Math.max(0, Math.min(1, (screenY - halfH) / (H - halfH)));
+                    const groundDist = screenY > horizon ? cameraZ * this.viewDist / (screenY - horizon) : Infinity;
+                    color = lightColor(packRGB(
+                        Math.round(floorTop[0] + (floorBottom[0] - floorTop[0]) * t),
+                        Math.round(floorTop[1] + (floorBottom[1] - floorTop[1]) * t),
+                        Math.round(floorTop[2] + (floorBottom[2] - floorTop[2]) * t)
+                    ), this.setLight(light, groundDist));
+                }
+                rowColor[screenY] = color;
+            }
+
+            // Project the row onto the floor or ceiling plane. Same lighting as wall tops:
+            // the row's light band, with the light map added only in lit cells
+            const dy = screenY - horizon;
+            let dist = 0;
+            if (dy > 0 && this.RENDER_FLOOR) {
+                dist = cameraZ * this.viewDist / dy;
+            } else if (dy < 0 && ceilingVisible) {
+                dist = (TS - cameraZ) * this.viewDist / -dy;
+            }
+            if (dist > this.viewLimit) dist = 0;
+            rowDist[screenY] = dist;
+            if (dist > 0) rowBand[screenY] = this.lightBand(dist);
+        }
+
+        // Then each column top to bottom, jumping over the rows that walls standing on the
+        // ground cover
+        for (let x = 0; x < W; x++) {
+            const strip = (x / stripWidth) | 0;
+            const rayX = dirX[strip];
+            const rayY = dirY[strip];
+            const skyColumn = skyColumns[x] * skyH;
+            const coverFrom = coverTop[x] < coverBottom[x] ? coverTop[x] : H;
+            const coverTo = coverBottom[x];
+
+            // Texture of the last cell, kept while the column crosses cells with the same one
+            let tex = null, texData = null, texW = 0, scaleU = 0, scaleV = 0;
+            let offset = x * H;
+            for (let screenY = 0; screenY < H; screenY++, offset++) {
+                if (screenY === coverFrom) {
+                    offset += coverTo - 1 - screenY;
+                    screenY = coverTo - 1;
+                    continue;
+                }
+                if (depth[offset] < Infinity) continue;
+
+                const dist = rowDist[screenY];
+                if (dist > 0) {
+                    const worldX = playerX + dist * rayX;
+                    const worldY = playerY + dist * rayY;
+                    const cellX = (worldX * invTS) | 0;
+                    const cellY = (worldY * invTS) | 0;
+                    if (worldX >= 0 && worldY >= 0 && cellX < mapWidth && cellY < mapHeight) {
+                        const cell = cellX + cellY * mapWidth;
+                        const cellTex = screenY > horizon ? floorCells[cell] : ceilingCells[cell];
+                        if (cellTex !== null) {
+                            if (cellTex !== tex) {
+                                tex = cellTex;
+                                texData = tex.data;
+                                texW = tex.width;
+                                scaleU = tex.width / TS;
+                                scaleV = tex.height / TS;
+                            }
+
+                            // Texture UV from position inside the cell
+                            const texU = ((worldX - cellX * TS) * scaleU) | 0;
+                            const texV = ((worldY - cellY * TS) * scaleV) | 0;
+                            const texel = texData[texV * texW + texU];
+                            const band = rowBand[screenY];
+                            if (lit[cell] === 1) {
+                                fb[offset] = this.lightPixel(texel, band, worldX, worldY);
+                            } else {
+                                const r = (((texel & 0xff) * bands[band]) >>> 8) + bands[band + 3];
+                                const g = ((((texel >>> 8) & 0xff) * bands[band + 1]) >>> 8) + bands[band + 4];
+                                const b = ((((texel >>> 16) & 0xff) * bands[band + 2]) >>> 8) + bands[band + 5];
+                                fb[offset] = 0xff000000 | (b << 16) | (g << 8) | r;
+                            }
+                            continue;
+                        }
+                    }
+                }
+
+                const skyRow = rowSky[screenY];
+                if (skyRow < 0) {
+                    fb[offset] = rowColor[screenY];
+                } else if (skyBlend > 0) {
+                    const color = skyData[skyColumn + skyRow];
+                    const r = (((color & 0xff) * skyMul) >>> 8) + rowSkyAdd[screenY * 3];
+                    const g = ((((color >>> 8) & 0xff) * skyMul) >>> 8) + rowSkyAdd[screenY * 3 + 1];
+                    const b = ((((color >>> 16) & 0xff) * skyMul) >>> 8) + rowSkyAdd[screenY * 3 + 2];
+                    fb[offset] = 0xff000000 | (b << 16) | (g << 8) | r;
+                } else {
+                    fb[offset] = skyData[skyColumn + skyRow];
+                }
+            }
+        }
+    }
+
+    // Show the finished frame: frameBuffer holds it on its side, so it goes into frameCanvas
+    // as it is and is drawn with x and y swapped
+    presentFrame() {
+        this.frameCtx.putImageData(this.frameImageData, 0, 0);
+        this.ctx.setTransform(0, 1, 1, 0, 0, 0);
+        this.ctx.drawImage(this.frameCanvas, 0, 0);
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    // World height of a sprite's feet: its level, raised onto any slope under it, plus its own z
+    spriteBaseZ(sprite) {
+        const levelZ = sprite.level * this.TILE_SIZE;
+        return Math.max(levelZ, this.level.heightAt(sprite.x, sprite.y)) + sprite.z;
+    }
+
+    drawSprites(horizon, cameraZ) {
+        // Camera space: depth along the view direction, same corrected distance as walls
+        const dirX = Math.cos(this.player.rot);
+        const dirY = -Math.sin(this.player.rot);
         const spriteData = [];
         for (const s of this.sprites) {
+            if (s.hidden) continue;
             const dx = s.x - this.player.x;
             const dy = s.y - this.player.y;
-            spriteData.push({ sprite: s, dist: Math.sqrt(dx*dx + dy*dy), angle: Math.atan2(-dy, dx) });
+            const depth = dx * dirX + dy * dirY;
+            // Positive side is screen left, matching the ray strips
+            const side = dx * dirY - dy * dirX;
+            if (depth < 1 || depth > this.viewLimit) continue;
+            spriteData.push({ sprite: s, depth, side });
         }
-        spriteData.sort((a, b) => b.dist - a.dist);
-
-        const halfH = this.displayHeight / 2;
+        spriteData.sort((a, b) => b.depth - a.depth);
 
-        for (const { sprite, dist, angle } of spriteData) {
-            let angleDiff = this.player.rot - angle;
-            while (angleDiff > Math.PI) angleDiff -= TWO_PI;
-            while (angleDiff < -Math.PI) angleDiff += TWO_PI;
-
-            if (Math.abs(angleDiff) > this.FOV_RADIANS / 2 + 0.3) continue;
+        const W = this.displayWidth;
+        const H = this.displayHeight;
 
-            const tex = this.spriteImages[sprite.type] || this.spriteImages.barrel;
+        for (const { sprite, depth, side } of spriteData) {
+            const tex = this.spriteTextures[sprite.type] || this.spriteTextures.barrel;
             if (!tex) continue;
+            // Animated sprites draw one frame of their sheet, picked by animation and the side facing the player
+            const sheet = this.spriteSheets[sprite.type];
+            let srcX = 0, srcY = 0, srcW = tex.width, srcH = tex.height, mirrored = false;
+            if (sheet) {
+                const view = spriteView(sprite.rot, sprite.x, sprite.y, this.player.x, this.player.y);
+                ({ x: srcX, y: srcY } = sheet.frameAt(sprite.animation, sprite.frame, view.view));
+                srcW = srcH = sheet.frameSize;
+                mirrored = view.mirrored;
+            }
 
             // Height-based projection (same as walls)
-            const projScale = this.viewDist / dist;
-            const horizon = halfH + this.pitch;
-            const cameraZ = this.TILE_SIZE / 2 + this.player.z;
+            const projScale = this.viewDist / depth;
 
-            // Sprite bottom at floor (z=0), sprite top at sprite.h
-            const spriteBottom = horizon + cameraZ * projScale;
-            const spriteTop = horizon + (cameraZ - sprite.h) * projScale;
+            // Sprite bottom at its base height, sprite top at base + sprite.h
+            const baseZ = this.spriteBaseZ(sprite);
+            const spriteBottom = horizon + (cameraZ - baseZ) * projScale;
+            const spriteTop = horizon + (cameraZ - baseZ - sprite.h) * projScale;
 
-            const screenX = this.displayWidth / 2 + Math.tan(angleDiff) * this.viewDist;
-            const size = Math.floor(spriteBottom - spriteTop);
+            const screenX = W / 2 - side * projScale;
+            const size = spriteBottom - spriteTop;
+            if (size <= 0) continue;
             const drawX = Math.floor(screenX - size / 2);
-            const drawY = Math.floor(spriteTop);
 
-            // Simple z-buffer check (center of sprite)
-            const centerX = Math.floor(screenX);
-            if (centerX >= 0 && centerX < this.displayWidth && dist < this.zBuffer[centerX]) {
-                // Draw sprite at full brightness (C++ doesn't apply fog to sprites)
-                ctx.drawImage(tex, drawX, drawY, size, size);
+            const yStart = Math.max(0, Math.floor(spriteTop));
+            const yEnd = Math.min(H, Math.ceil(spriteBottom));
+            const xStart = Math.max(0, drawX);
+            const xEnd = Math.min(W, Math.ceil(screenX + size / 2));
+            if (xEnd <= xStart || yEnd <= yStart) continue;
+
+            // Column by column, each pixel clipped against the depth buffer
+            // Lit like the walls at the same distance, white while hit
+            const fill = sprite.flashTimer > 0 ? 0xffffffff : 0;
+            const light = this.setLight(this.surfaceLight, depth, sprite.x, sprite.y);
+            for (let x = xStart; x < xEnd; x++) {
+                const col = Math.min(Math.floor((x - drawX) * srcW / size), srcW - 1);
+                const texX = srcX + (mirrored ? srcW - 1 - col : col);
+                this.drawTexturedColumn(tex, texX, srcY, srcH,
+                    x, 1, spriteTop, spriteBottom, yStart, yEnd, light, depth, fill);
             }
         }
     }
 
     drawMinimap() {
         const ctx = this.minimapCtx;
-        const scale = this.minimapCanvas.width / (MAP_WIDTH * this.TILE_SIZE);
+        const scale = this.minimapCanvas.width / (this.level.width * this.TILE_SIZE);
         const ts = this.TILE_SIZE * scale;
 
         ctx.fillStyle = '#111';
         ctx.fillRect(0, 0, this.minimapCanvas.width, this.minimapCanvas.height);
 
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const w = g_map[y][x];
+        for (let y = 0; y < this.level.height; y++) {
+            for (let x = 0; x < this.level.width; x++) {
+                const w = this.level.layers.walls[y][x];
                 if (w > 0) {
                     ctx.fillStyle = Raycaster.isDoor(w)
-                        ? (this.doors[x + y * MAP_WIDTH] ? '#432' : '#864')
+                        ? (this.doors[x + y * this.level.width]?.isClosed() === false ? '#432' : '#864')
                         : '#555';
                     ctx.fillRect(x * ts, y * ts, ts, ts);
                 }
             }
         }
 
-        ctx.fillStyle = '#0f0';
+        // Free-form walls
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (const tw of this.raycaster.thinWalls) {
+            ctx.moveTo(tw.x1 * scale, tw.y1 * scale);
+            ctx.lineTo(tw.x2 * scale, tw.y2 * scale);
+        }
+        ctx.stroke();
+
+        // Triggers: switches, pressure plates, exits and checkpoints
+        for (const key in this.switches) {
+            const sw = this.switches[key];
+            ctx.fillStyle = sw.on ? '#0c0' : '#c00';
+            ctx.fillRect((sw.x + 0.25) * ts, (sw.y + 0.25) * ts, ts / 2, ts / 2);
+        }
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        for (const key in this.plates) {
+            const plate = this.plates[key];
+            ctx.strokeRect((plate.x + 0.15) * ts, (plate.y + 0.15) * ts, ts * 0.7, ts * 0.7);
+        }
+        ctx.fillStyle = '#0cc';
+        for (const key in this.exits) {
+            const exit = this.exits[key];
+            ctx.fillRect(exit.x * ts, exit.y * ts, ts, ts);
+        }
+        ctx.strokeStyle = '#0cc';
+        for (const key in this.checkpoints) {
+            const checkpoint = this.checkpoints[key];
+            ctx.strokeRect((checkpoint.x + 0.15) * ts, (checkpoint.y + 0.15) * ts, ts * 0.7, ts * 0.7);
+        }
+
+        // Door panels where they currently are
+        ctx.strokeStyle = '#ca6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (const key in this.doors) {
+            const tw = this.doors[key].thinWall;
+            if (!tw) continue;
+            ctx.moveTo(tw.x1 * scale, tw.y1 * scale);
+            ctx.lineTo(tw.x2 * scale, tw.y2 * scale);
+        }
+        ctx.stroke();
+
+        // Sprites; items in yellow, enemies chasing the player in orange
         for (const s of this.sprites) {
+            ctx.fillStyle = s.item ? '#fd0' : s.ai && s.ai.state === AI_CHASE ? '#f80' : '#0f0';
             ctx.beginPath();
             ctx.arc(s.x * scale, s.y * scale, 2, 0, TWO_PI);
             ctx.fill();
@@ -1096,10 +2669,68 @@ class Game {
         ctx.stroke();
     }
 
+    // One display frame at time now (ms): run the updates that are due at the fixed rate, then
+    // draw the player and sprites between their last two positions by the time left over
+    tick(now) {
+        const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        this.accumulator += Math.min(elapsed, this.MAX_FRAME_TIME);
+        while (this.accumulator >= this.UPDATE_DT) {
+            this.storePositions();
+            this.update();
+            this.accumulator -= this.UPDATE_DT;
+        }
+        const restore = this.blendPositions(this.accumulator / this.UPDATE_DT);
+        try {
+            this.draw();
+        } finally {
+            restore();
+        }
+    }
+
+    // Remember where the player and sprites are before an update (see blendPositions)
+    storePositions() {
+        const player = this.player;
+        Object.assign(this.previous, { x: player.x, y: player.y, z: player.z, rot: player.rot });
+        for (const s of this.sprites) {
+            s.prevX = s.x;
+            s.prevY = s.y;
+        }
+    }
+
+    // Move the player and sprites alpha (0-1) of the way from their stored positions to their
+    // current ones, for drawing. Moves of more than a tile (respawns) aren't blended; new sprites
+    // start with their previous position where they are.
+    // Returns a function that puts everything back.
+    blendPositions(alpha) {
+        const blend = (from, to) => Math.abs(to - from) > this.TILE_SIZE ? to : from + (to - from) * alpha;
+        const player = this.player;
+        const previous = this.previous;
+        const saved = { x: player.x, y: player.y, z: player.z, rot: player.rot };
+        player.x = blend(previous.x, player.x);
+        player.y = blend(previous.y, player.y);
+        player.z = blend(previous.z, player.z);
+        player.rot = previous.rot + (player.rot - previous.rot) * alpha;
+        const sprites = this.sprites.map(s => {
+            const position = { s, x: s.x, y: s.y };
+            s.x = blend(s.prevX, s.x);
+            s.y = blend(s.prevY, s.y);
+            return position;
+        });
+        return () => {
+            Object.assign(player, saved);
+            for (const { s, x, y } of sprites) {
+                s.x = x;
+                s.y = y;
+            }
+        };
+    }
+
     run() {
-        this.update();
-        this.draw();
-        requestAnimationFrame(() => this.run());
+        requestAnimationFrame(now => {
+            this.tick(now);
+            this.run();
+        });
     }
 
     async start() {
@@ -0,0 +1,306 @@
+/**
+ * Input - Named actions and the keys, gamepad buttons and sticks bound to them
+ * The game reads actions ('forward', 'jump', ...) rather than keys: isDown() while one is
+ * held, value() for how far (a stick gives 0-1), and the actions a key or button press
+ * triggers come back from keyDown() and pollGamepad() to be run once. Bindings can be
+ * changed in the controls overlay and are saved (with the stick settings) to localStorage.
+ *
+ * Gamepads use the standard mapping: buttons 0-3 A, B, X, Y, 4/5 bumpers, 6/7 triggers,
+ * 8 back, 9 start, 10/11 stick presses, 12-15 d-pad up, down, left, right; axes 0/1 are
+ * the left stick, 2/3 the right stick. Without the Gamepad API (or a pad) the sticks stay at 0.
+ */
+
+// Actions in the order the controls overlay lists them: label, default keys (KeyboardEvent.code),
+// gamepad buttons and stick axes ([axis, direction]); look actions use the look sensitivity.
+// Every action can be reached from a gamepad (button or stick), and no button is the default for two.
+const INPUT_ACTIONS = {
+    forward: { label: 'Move forward', keys: ['KeyW', 'ArrowUp'], buttons: [12], axes: [[1, -1]] },
+    back: { label: 'Move back', keys: ['KeyS', 'ArrowDown'], buttons: [13], axes: [[1, 1]] },
+    strafeLeft: { label: 'Strafe left', keys: ['KeyA'], axes: [[0, -1]] },
+    strafeRight: { label: 'Strafe right', keys: ['KeyD'], axes: [[0, 1]] },
+    turnLeft: { label: 'Turn left', keys: ['ArrowLeft'], axes: [[2, -1]], look: true },
+    turnRight: { label: 'Turn right', keys: ['ArrowRight'], axes: [[2, 1]], look: true },
+    lookUp: { label: 'Look up', keys: ['PageUp'], axes: [[3, -1]], look: true },
+    lookDown: { label: 'Look down', keys: ['PageDown'], axes: [[3, 1]], look: true },
+    jump: { label: 'Jump', keys: ['Space'], buttons: [0] },
+    sprint: { label: 'Sprint', keys: ['ShiftLeft', 'ShiftRight'], buttons: [10, 4] },
+    attack: { label: 'Attack', keys: ['KeyX'], buttons: [7] },
+    use: { label: 'Use / pick up', keys: ['KeyF'], buttons: [2] },
+    weapon1: { label: 'Sword', keys: ['Digit1'], buttons: [14] },
+    weapon2: { label: 'Crossbow', keys: ['Digit2'], buttons: [15] },
+    lantern: { label: 'Lantern', keys: ['KeyL'], buttons: [5] },
+    inventory: { label: 'Inventory', keys: ['KeyI'], buttons: [3] },
+    drop: { label: 'Drop (inventory)', keys: ['KeyQ'], buttons: [1] },
+    minimap: { label: 'Minimap', keys: ['KeyM'], buttons: [11] },
+    respawn: { label: 'Respawn', keys: ['Enter'], buttons: [9] },
+    editor: { label: 'Map editor', keys: ['KeyE'], buttons: [6] },
+    controls: { label: 'Controls', keys: ['KeyK'], buttons: [8] },
+};
+
+// Stick settings: share of the stick's travel ignored around the centre, and the look speed factor
+const INPUT_SETTINGS = { deadzone: 0.2, lookSensitivity: 1 };
+
+const INPUT_STORAGE_KEY = 'raycaster-controls';
+
+// Keys per action: a primary and an alternate (e.g. W and Up), each rebound on its own
+const INPUT_KEY_SLOTS = 2;
+
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right'];
+
+// Short name of a key code, e.g. 'KeyW' -> 'W', 'Digit1' -> '1', 'ShiftLeft' -> 'Shift'
+function keyName(code) {
+    if (code.startsWith('Arrow')) return code.slice('Arrow'.length);
+    return code.replace(/^(Key|Digit)/, '').replace(/(Left|Right)$/, '');
+}
+
+function buttonName(button) {
+    return GAMEPAD_BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+class InputMap {
+    // storage: where bindings are saved (localStorage), or null to keep them for this session only
+    constructor(storage = null) {
+        this.storage = storage;
+        this.held = new Set();      // Key codes down
+        this.buttons = [];          // Gamepad buttons down at the last poll
+        this.axes = [];             // Gamepad stick axes at the last poll
+        this.reset();
+        this.load();
+    }
+
+    // Default bindings and settings
+    reset() {
+        this.bindings = {};
+        for (const action in INPUT_ACTIONS) {
+            const def = INPUT_ACTIONS[action];
+            this.bindings[action] = { keys: [...def.keys], buttons: [...(def.buttons || [])] };
+        }
+        this.settings = { ...INPUT_SETTINGS };
+    }
+
+    // Saved bindings and settings on top of the defaults (unknown actions and bad entries are skipped)
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(INPUT_STORAGE_KEY));
+            if (!saved) return;
+            for (const action in saved.bindings || {}) {
+                const entry = saved.bindings[action];
+                if (!Object.hasOwn(this.bindings, action) || typeof entry !== 'object' || entry === null) continue;
+                const binding = this.bindings[action];
+                const { keys, buttons } = entry;
+                if (Array.isArray(keys)) binding.keys = keys.filter(key => typeof key === 'string').slice(0, INPUT_KEY_SLOTS);
+                if (Array.isArray(buttons)) binding.buttons = buttons.filter(Number.isInteger);
+            }
+            for (const name in INPUT_SETTINGS) {
+                if (typeof saved.settings?.[name] === 'number') this.settings[name] = saved.settings[name];
+            }
+        } catch (e) {
+            console.warn(`Saved controls ignored: ${e.message}`);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(INPUT_STORAGE_KEY, JSON.stringify({ bindings: this.bindings, settings: this.settings }));
+        } catch (e) {
+            console.warn(`Controls not saved: ${e.message}`);
+        }
+    }
+
+    // Put a key in one of an action's key slots (0 primary, 1 alternate; an empty slot is
+    // added at the end), taking it from any other action and slot
+    bindKey(action, code, slot = 0) {
+        for (const name in this.bindings) {
+            this.bindings[name].keys = this.bindings[name].keys.filter(key => key !== code);
+        }
+        const keys = this.bindings[action].keys;
+        if (slot < keys.length) keys[slot] = code;
+        else keys.push(code);
+        this.save();
+    }
+
+    // Make a gamepad button the only one for an action, taking it from any other action
+    bindButton(action, button) {
+        for (const name in this.bindings) {
+            this.bindings[name].buttons = this.bindings[name].buttons.filter(b => b !== button);
+        }
+        this.bindings[action].buttons = [button];
+        this.save();
+    }
+
+    setting(name, value) {
+        this.settings[name] = value;
+        this.save();
+    }
+
+    actionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(code));
+    }
+
+    actionsForButton(button) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].buttons.includes(button));
+    }
+
+    // A key went down: returns the actions it triggers
+    keyDown(code) {
+        this.held.add(code);
+        return this.actionsForKey(code);
+    }
+
+    keyUp(code) {
+        this.held.delete(code);
+    }
+
+    // Forget the held keys (an overlay took the keyboard, so their key ups may never come)
+    release() {
+        this.held.clear();
+    }
+
+    isDown(action) {
+        const binding = this.bindings[action];
+        return binding.keys.some(key => this.held.has(key)) || binding.buttons.some(button => this.buttons[button]);
+    }
+
+    // How far an action is pushed: 1 for a held key or button, else its stick past the deadzone
+    // (0-1, scaled by the look sensitivity for look actions)
+    value(action) {
+        if (this.isDown(action)) return 1;
+        const def = INPUT_ACTIONS[action];
+        let value = 0;
+        for (const [axis, direction] of def.axes || []) {
+            value = Math.max(value, this.pastDeadzone((this.axes[axis] || 0) * direction));
+        }
+        return def.look ? value * this.settings.lookSensitivity : value;
+    }
+
+    // A stick axis value rescaled so the deadzone edge is 0 (and pushing the other way is 0 too)
+    pastDeadzone(value) {
+        const deadzone = this.settings.deadzone;
+        return value <= deadzone ? 0 : Math.min(1, (value - deadzone) / (1 - deadzone));
+    }
+
+    // Read the first connected gamepad (from navigator.getGamepads()); returns the buttons
+    // that went down since the last poll
+    pollGamepad(gamepads) {
+        const pad = Array.from(gamepads || []).find(p => p && p.connected);
+        const before = this.buttons;
+        this.buttons = pad ? pad.buttons.map(button => button.pressed) : [];
+        this.axes = pad ? Array.from(pad.axes) : [];
+        const pressed = [];
+        this.buttons.forEach((down, button) => {
+            if (down && !before[button]) pressed.push(button);
+        });
+        return pressed;
+    }
+
+    // What is bound to an action, e.g. 'W / Up / A' (keys only without withButtons)
+    describe(action, withButtons = true) {
+        const binding = this.bindings[action];
+        const names = binding.keys.map(keyName);
+        if (withButtons) names.push(...binding.buttons.map(buttonName));
+        return names.length > 0 ? [...new Set(names)].join(' / ') : '(none)';
+    }
+}
+
+/**
+ * ControlsOverlay - The bindings list, for changing keys and buttons and the stick settings
+ */
+class ControlsOverlay {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        this.waiting = null;    // Action waiting for a key or button to be bound to it
+        this.waitingSlot = 0;   // Key slot the key goes in (see InputMap.bindKey)
+        this.element = document.getElementById('bindings');
+        this.list = document.getElementById('bindings-list');
+        this.deadzone = document.getElementById('bindings-deadzone');
+        this.sensitivity = document.getElementById('bindings-sensitivity');
+        this.deadzone.addEventListener('change', () => this.changeSetting('deadzone', this.deadzone, 0, 0.9));
+        this.sensitivity.addEventListener('change', () => this.changeSetting('lookSensitivity', this.sensitivity, 0.1, 5));
+        document.getElementById('bindings-reset').addEventListener('click', () => {
+            this.game.input.reset();
+            this.game.input.save();
+            this.render();
+        });
+    }
+
+    toggle() {
+        this.open = !this.open;
+        this.waiting = null;
+        this.element.style.display = this.open ? 'block' : 'none';
+        // The mouse is needed to pick an action
+        if (this.open) {
+            if (document.exitPointerLock) document.exitPointerLock();
+            this.render();
+        }
+    }
+
+    // Keys while the overlay is open: the key for the waiting action, Escape to cancel or
+    // close; every key is taken so nothing else reacts to it
+    handleKey(code) {
+        if (this.waiting) {
+            if (code !== 'Escape') this.game.input.bindKey(this.waiting, code, this.waitingSlot);
+            this.waiting = null;
+            this.render();
+        } else if (code === 'Escape' || this.game.input.actionsForKey(code).includes('controls')) {
+            this.toggle();
+        }
+        return true;
+    }
+
+    // Gamepad buttons while the overlay is open (see handleKey); returns false when it is closed
+    handleButton(button) {
+        if (!this.open) return false;
+        if (this.waiting) {
+            this.game.input.bindButton(this.waiting, button);
+            this.waiting = null;
+            this.render();
+        } else if (this.game.input.actionsForButton(button).includes('controls')) {
+            this.toggle();
+        }
+        return true;
+    }
+
+    changeSetting(name, field, min, max) {
+        const value = Number(field.value);
+        if (Number.isFinite(value)) this.game.input.setting(name, Math.max(min, Math.min(max, value)));
+        this.render();
+    }
+
+    render() {
+        const input = this.game.input;
+        this.list.innerHTML = '';
+        for (const action in INPUT_ACTIONS) {
+            const row = document.createElement('li');
+            row.textContent = `${INPUT_ACTIONS[action].label}:`;
+            if (this.waiting === action) row.className = 'selected';
+            // One cell per key slot: clicking it waits for that slot's key (or the button)
+            const keys = input.bindings[action].keys;
+            for (let slot = 0; slot < INPUT_KEY_SLOTS; slot++) {
+                const cell = document.createElement('span');
+                cell.className = 'slot';
+                cell.textContent = this.waiting === action && this.waitingSlot === slot ? 'press a key or button...' :
+                    (keys[slot] ? keyName(keys[slot]) : '-');
+                cell.addEventListener('click', () => {
+                    this.waiting = action;
+                    this.waitingSlot = slot;
+                    this.render();
+                });
+                row.appendChild(cell);
+            }
+            const buttons = input.bindings[action].buttons.map(buttonName);
+            if (buttons.length > 0) row.appendChild(document.createTextNode(buttons.join(' / ')));
+            this.list.appendChild(row);
+        }
+        this.deadzone.value = input.settings.deadzone;
+        this.sensitivity.value = input.settings.lookSensitivity;
+    }
+}
+
+// Allow headless use under Node (InputMap only does bookkeeping)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INPUT_ACTIONS, INPUT_SETTINGS, INPUT_KEY_SLOTS, keyName, buttonName, InputMap };
+}
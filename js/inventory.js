@@ -0,0 +1,209 @@
+/**
+ * Inventory - Item types, the player's inventory and the inventory overlay
+ * Items lie in the world as small sprites: g_spritemap IDs 4+ (see ITEM_TYPES) and the
+ * key triggers of g_map_triggers. They are picked up by walking over them or with the
+ * use key, and stack in the inventory up to their stack size.
+ */
+
+const INVENTORY_SLOTS = 12;
+
+// Drawn as 8x8 pixel art: one string per row, letters index the item's palette, '.' is clear.
+// Consumables raise survival meters (restores, see survival.js) and/or health (heal).
+const ITEM_TYPES = {
+    food: {
+        name: 'Food', sprite: 4, amount: 1, stack: 10, verb: 'Ate', restores: { hunger: 35 }, heal: 5,
+        palette: { r: '#c22', d: '#811', g: '#3a3', s: '#fcc' },
+        pixels: ['....g...', '...g....', '.rrdrr..', 'rsrrrrr.', 'rsrrrrr.', 'rrrrrrd.', '.rrrrd..', '..rdd...']
+    },
+    bolts: {
+        name: 'Crossbow bolts', sprite: 5, amount: 5, stack: 50,
+        palette: { w: '#db8', m: '#999', f: '#d33' },
+        pixels: ['.m.m.m..', '.w.w.w..', '.w.w.w..', '.w.w.w..', '.w.w.w..', '.w.w.w..', 'fffffff.', '.f.f.f..']
+    },
+    wood: {
+        name: 'Wood', sprite: 6, amount: 1, stack: 20,
+        palette: { b: '#742', l: '#a73', c: '#dc8' },
+        pixels: ['........', '........', 'bbbbbbc.', 'llllllc.', 'bbbbbbc.', 'llllllc.', 'bbbbbbc.', '........']
+    },
+    stone: {
+        name: 'Stone', sprite: 7, amount: 1, stack: 20,
+        palette: { g: '#888', d: '#555', h: '#bbb' },
+        pixels: ['........', '........', '..hhg...', '.hggggd.', 'hgggggdd', 'ggggdddd', '.ddddd..', '........']
+    },
+    water: {
+        name: 'Water', sprite: 8, amount: 1, stack: 10, verb: 'Drank', restores: { thirst: 40 },
+        palette: { c: '#ccc', b: '#48f', l: '#9cf' },
+        pixels: ['...cc...', '...cc...', '..cccc..', '.cbbbbc.', '.cblbbc.', '.cblbbc.', '.cbbbbc.', '..cccc..']
+    },
+    key: {
+        name: 'Key', amount: 1, stack: 1,
+        palette: { y: '#fd0', o: '#a80' },
+        pixels: ['........', '.yyy....', 'y...y...', 'y...yyyy', 'o...o.yo', '.ooo..o.', '........', '........']
+    },
+};
+
+// Item ID for a key item (keys are told apart by name, e.g. 'key:red')
+function keyItemID(keyName) {
+    return `key:${keyName}`;
+}
+
+// Item type name of an item ID ('key:red' is a 'key')
+function itemTypeOf(id) {
+    return id.split(':')[0];
+}
+
+// Display name of an item ID
+function itemName(id) {
+    const [type, keyName] = id.split(':');
+    if (type === 'key') return `${keyName[0].toUpperCase()}${keyName.slice(1)} key`;
+    return ITEM_TYPES[type].name;
+}
+
+// Item type placed by a g_spritemap ID, or null
+function itemTypeForSprite(spriteID) {
+    for (const type in ITEM_TYPES) {
+        if (ITEM_TYPES[type].sprite === spriteID) return type;
+    }
+    return null;
+}
+
+/**
+ * Inventory - Stacks of items in pickup order, at most INVENTORY_SLOTS stacks
+ */
+class Inventory {
+    constructor() {
+        this.slots = [];    // [{id, count}, ...]
+    }
+
+    count(id) {
+        const slot = this.slots.find(s => s.id === id);
+        return slot ? slot.count : 0;
+    }
+
+    has(id) {
+        return this.count(id) > 0;
+    }
+
+    // Add up to count items, as many as the stack (or a free slot) allows; returns how many went in
+    add(id, count = 1) {
+        let slot = this.slots.find(s => s.id === id);
+        if (!slot) {
+            if (this.slots.length >= INVENTORY_SLOTS) return 0;
+            slot = { id, count: 0 };
+            this.slots.push(slot);
+        }
+        const added = Math.min(count, ITEM_TYPES[itemTypeOf(id)].stack - slot.count);
+        slot.count += added;
+        return added;
+    }
+
+    // Take count items; false (and nothing taken) if there aren't that many
+    remove(id, count = 1) {
+        const index = this.slots.findIndex(s => s.id === id);
+        if (index < 0 || this.slots[index].count < count) return false;
+        this.slots[index].count -= count;
+        if (this.slots[index].count === 0) this.slots.splice(index, 1);
+        return true;
+    }
+
+    // Keys open doors of one level only
+    clearKeys() {
+        this.slots = this.slots.filter(s => itemTypeOf(s.id) !== 'key');
+    }
+}
+
+/**
+ * InventoryOverlay - The inventory list over the view (I)
+ * Driven from the keyboard, so it also works while mouse look holds the pointer;
+ * with the pointer free, rows can be clicked and the buttons used.
+ */
+class InventoryOverlay {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        this.selected = 0;
+        this.element = document.getElementById('inventory');
+        this.list = document.getElementById('inventory-list');
+        this.hint = document.getElementById('inventory-hint');
+        document.getElementById('inventory-use').addEventListener('click', () => this.useSelected());
+        document.getElementById('inventory-drop').addEventListener('click', () => this.dropSelected());
+    }
+
+    toggle() {
+        this.open = !this.open;
+        this.element.style.display = this.open ? 'block' : 'none';
+        if (this.open) this.render();
+    }
+
+    // Keys while the overlay is open: Enter and Escape, and those bound to actions it uses;
+    // returns false for keys it doesn't handle
+    handleKey(code) {
+        if (code === 'Enter') return this.handleAction('use');
+        if (code === 'Escape') return this.handleAction('inventory');
+        return this.game.input.actionsForKey(code).some(action => this.handleAction(action));
+    }
+
+    // Actions (see INPUT_ACTIONS) while the overlay is open; returns false for ones it doesn't use
+    handleAction(action) {
+        const slots = this.game.player.inventory.slots;
+        switch (action) {
+            case 'forward':
+                this.selected = Math.max(0, this.selected - 1);
+                break;
+            case 'back':
+                this.selected = Math.min(slots.length - 1, this.selected + 1);
+                break;
+            case 'use':
+                this.useSelected();
+                break;
+            case 'drop':
+                this.dropSelected();
+                break;
+            case 'inventory':
+                this.toggle();
+                return true;
+            default:
+                return false;
+        }
+        this.render();
+        return true;
+    }
+
+    useSelected() {
+        const slot = this.game.player.inventory.slots[this.selected];
+        if (slot) this.game.useItem(slot.id);
+        this.render();
+    }
+
+    dropSelected() {
+        const slot = this.game.player.inventory.slots[this.selected];
+        if (slot) this.game.dropItem(slot.id);
+        this.render();
+    }
+
+    render() {
+        const slots = this.game.player.inventory.slots;
+        const input = this.game.input;
+        const keys = action => input.describe(action, false);
+        this.hint.textContent = `${keys('forward')} / ${keys('back')}: Select | Enter / ${keys('use')}: Use | ` +
+            `${keys('drop')}: Drop | ${keys('inventory')}: Close`;
+        this.selected = Math.max(0, Math.min(this.selected, slots.length - 1));
+        this.list.innerHTML = '';
+        if (slots.length === 0) {
+            const row = document.createElement('li');
+            row.textContent = '(empty)';
+            this.list.appendChild(row);
+        }
+        slots.forEach((slot, index) => {
+            const row = document.createElement('li');
+            row.textContent = slot.count > 1 ? `${itemName(slot.id)} x${slot.count}` : itemName(slot.id);
+            if (index === this.selected) row.className = 'selected';
+            row.addEventListener('click', () => {
+                this.selected = index;
+                this.render();
+            });
+            row.addEventListener('dblclick', () => this.useSelected());
+            this.list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * Level - A map with every layer, its spawn point, sky and texture set
+ * Loaded from the JSON level format and validated before the game uses it
+ *
+ * Format (positions in tiles, heights in world units):
+ * {
+ *   "name": "Courtyard",
+ *   "width": 16, "height": 12,
+ *   "spawn": { "x": 2.5, "y": 2.5, "rot": 0 },
+ *   "sky": "night_sky_2.png",
+ *   "textures": { "walls", "wallsDark", "floor", "ceiling", "gates" },   (file names in assets/)
+ *   "layers": { "walls", "walls2", "walltops", "slopes", "floor", "ceiling", "sprites" },
+ *   "heights": [...], "geometry": [...], "doors": [...], "triggers": [...], "patrols": [...],
+ *   "lights": [...],
+ *   "fog": { "color": [r, g, b], "start", "end", "density" }   (tiles, density 0-1; all optional)
+ * }
+ * Layers are height rows of width values with the meaning of the matching g_* array
+ * in maps.js; only "walls" is required. The lists are the entries of g_map_heights,
+ * g_map_geometry, g_map_doors, g_map_triggers, g_map_patrols and g_map_lights.
+ * Without fog (or for the fog settings it leaves out) the fog follows the time of day.
+ */
+
+// Wall atlas tiles (see Game.createWallAtlas); doors use the door ID ranges
+const WALL_TEXTURE_COUNT = 4;
+
+// Grid layers and the values each accepts (all integers)
+const LEVEL_LAYERS = {
+    walls: v => (v >= 0 && v <= WALL_TEXTURE_COUNT) || Raycaster.isDoor(v),
+    walls2: v => v >= 0 && v <= WALL_TEXTURE_COUNT,
+    walltops: () => true,
+    slopes: v => v === SLOPE_TYPE_NONE || (v > 0 && v % 10 >= SLOPE_DIR_WEST_EAST && v % 10 <= SLOPE_DIR_SOUTH_NORTH),
+    floor: v => v >= 0,
+    ceiling: v => v >= 0,
+    sprites: v => (v >= 0 && v <= 3) || v === FIRE_SPRITE.sprite || itemTypeForSprite(v) !== null,
+};
+
+// Geometry shapes and how many points each takes ([min, max]; rects use x, y, w, h instead)
+const LEVEL_GEOMETRY_TYPES = {
+    wall: [2, Infinity],
+    rect: [0, 0],
+    triangle: [3, 3],
+    quad: [4, 4],
+};
+
+// Texture set used when a level leaves an entry out (file names in assets/)
+const LEVEL_DEFAULT_SKY = 'night_sky_2.png';
+const LEVEL_DEFAULT_TEXTURES = {
+    walls: 'walls4.bmp',
+    wallsDark: 'walls4dark.bmp',
+    floor: 'mossycobble.bmp',
+    ceiling: 'default_brick.bmp',
+    gates: 'gates.bmp',
+};
+
+/**
+ * LevelError - A level that failed to load or validate
+ * layer, row and col locate the bad value when there is one (-1 otherwise)
+ */
+class LevelError extends Error {
+    constructor(message, layer = null, row = -1, col = -1) {
+        super(message);
+        this.name = 'LevelError';
+        this.layer = layer;
+        this.row = row;
+        this.col = col;
+    }
+}
+
+class Level {
+    constructor(def) {
+        Level.validate(def);
+
+        this.name = def.name ?? 'Untitled';
+        this.width = def.width;
+        this.height = def.height;
+        this.spawn = { x: def.spawn.x, y: def.spawn.y, rot: def.spawn.rot ?? 0 };
+        this.sky = def.sky ?? LEVEL_DEFAULT_SKY;
+        this.textures = { ...LEVEL_DEFAULT_TEXTURES, ...def.textures };
+
+        // Own copy of every layer (edits never touch the definition); missing layers are all zero
+        this.layers = {};
+        for (const name in LEVEL_LAYERS) {
+            this.layers[name] = def.layers[name] ? def.layers[name].map(row => row.slice()) :
+                Array.from({ length: this.height }, () => new Array(this.width).fill(0));
+        }
+
+        this.heights = def.heights ?? [];
+        this.geometry = def.geometry ?? [];
+        this.doors = def.doors ?? [];
+        this.triggers = def.triggers ?? [];
+        this.patrols = def.patrols ?? [];
+        this.lights = def.lights ?? [];
+        this.fog = def.fog ?? null;
+
+        // heights keyed by cell offset (x + y * width)
+        this.cellHeights = {};
+        for (const cell of this.heights) this.cellHeights[cell.x + cell.y * this.width] = cell;
+    }
+
+    /**
+     * Fetch and validate a JSON level file
+     * @returns {Promise<Level>}
+     */
+    static async load(url) {
+        let def;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            def = await response.json();
+        } catch (e) {
+            throw new LevelError(`Failed to load level ${url}: ${e.message}`);
+        }
+        return new Level(def);
+    }
+
+    /**
+     * Check a level definition, throwing a LevelError naming the first bad value
+     */
+    static validate(def) {
+        if (!def || typeof def !== 'object') throw new LevelError('Level must be an object');
+        const name = def.name ?? 'Untitled';
+        const fail = (message, layer = null, row = -1, col = -1) => {
+            throw new LevelError(`Level "${name}": ${message}`, layer, row, col);
+        };
+
+        const { width, height } = def;
+        if (!Number.isInteger(width) || width <= 0) fail(`width must be a positive integer, got ${width}`);
+        if (!Number.isInteger(height) || height <= 0) fail(`height must be a positive integer, got ${height}`);
+        const inBounds = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+
+        // Grid layers: dimensions and the values each layer allows
+        if (!def.layers || !def.layers.walls) fail('missing layer "walls"', 'walls');
+        for (const layer in def.layers) {
+            const check = LEVEL_LAYERS[layer];
+            if (!check) fail(`unknown layer "${layer}"`, layer);
+            const rows = def.layers[layer];
+            if (!Array.isArray(rows) || rows.length !== height) {
+                fail(`layer "${layer}" has ${Array.isArray(rows) ? rows.length : 0} rows, expected ${height}`, layer);
+            }
+            for (let row = 0; row < height; row++) {
+                const values = rows[row];
+                if (!Array.isArray(values) || values.length !== width) {
+                    fail(`layer "${layer}" row ${row} has ${Array.isArray(values) ? values.length : 0} columns, expected ${width}`,
+                        layer, row);
+                }
+                for (let col = 0; col < width; col++) {
+                    const value = values[col];
+                    if (!Number.isInteger(value) || !check(value)) {
+                        fail(`layer "${layer}" row ${row} col ${col}: unknown ID ${JSON.stringify(value)}`,
+                            layer, row, col);
+                    }
+                }
+            }
+        }
+        const walls = def.layers.walls;
+        const isSolid = (x, y) => walls[y][x] > 0 && !Raycaster.isDoor(walls[y][x]);
+
+        const spawn = def.spawn;
+        if (!spawn || typeof spawn.x !== 'number' || typeof spawn.y !== 'number') fail('spawn needs x and y', 'spawn');
+        const spawnX = Math.floor(spawn.x), spawnY = Math.floor(spawn.y);
+        if (!inBounds(spawnX, spawnY)) fail(`spawn ${spawn.x},${spawn.y} is outside the map`, 'spawn', spawnY, spawnX);
+        if (isSolid(spawnX, spawnY)) fail(`spawn row ${spawnY} col ${spawnX} is inside a wall`, 'spawn', spawnY, spawnX);
+
+        if (def.sky !== undefined && typeof def.sky !== 'string') fail('sky must be a file name', 'sky');
+        if (def.fog !== undefined) {
+            const fog = def.fog;
+            if (!fog || typeof fog !== 'object') fail('fog must be an object', 'fog');
+            if (fog.color !== undefined && !(Array.isArray(fog.color) && fog.color.length === 3)) fail('fog color must be [r, g, b]', 'fog');
+            if (fog.start !== undefined && !(fog.start >= 0)) fail('fog start must be >= 0', 'fog');
+            if (fog.end !== undefined && !(fog.end > (fog.start ?? 0))) fail('fog end must be beyond its start', 'fog');
+            if (fog.density !== undefined && !(fog.density >= 0 && fog.density <= 1)) fail('fog density must be between 0 and 1', 'fog');
+        }
+        for (const key in def.textures || {}) {
+            if (!(key in LEVEL_DEFAULT_TEXTURES)) fail(`unknown texture "${key}"`, 'textures');
+            if (typeof def.textures[key] !== 'string') fail(`texture "${key}" must be a file name`, 'textures');
+        }
+
+        // Cell lists: every entry is an object that must sit on a cell that fits it
+        // (geometry is placed freely, the others name a cell)
+        const eachEntry = (list, onCell, check) => {
+            if (def[list] === undefined) return;
+            if (!Array.isArray(def[list])) fail(`${list} must be an array`, list);
+            def[list].forEach((entry, i) => {
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    fail(`${list}[${i}] must be an object, got ${JSON.stringify(entry)}`, list);
+                }
+                if (!onCell) {
+                    const problem = check(entry);
+                    if (problem) fail(`${list}[${i}] ${problem}`, list);
+                    return;
+                }
+                const where = `${list}[${i}] at row ${entry.y} col ${entry.x}`;
+                if (!Number.isInteger(entry.x) || !Number.isInteger(entry.y) || !inBounds(entry.x, entry.y)) {
+                    fail(`${where} is outside the map`, list, entry.y, entry.x);
+                }
+                const problem = check(entry);
+                if (problem) fail(`${where} ${problem}`, list, entry.y, entry.x);
+            });
+        };
+        const isDoorCell = cell => Array.isArray(cell) && cell.every(Number.isInteger) && inBounds(cell[0], cell[1]) &&
+            Raycaster.isDoor(walls[cell[1]][cell[0]]);
+        const isPoint = p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+
+        eachEntry('heights', true, cell => {
+            if (!(walls[cell.y][cell.x] > 0) || Raycaster.isDoor(walls[cell.y][cell.x])) return 'is not a wall cell';
+            if (!(cell.height > 0) || !(cell.z >= 0)) return 'needs z >= 0 and height > 0';
+            return null;
+        });
+        eachEntry('geometry', false, shape => {
+            if (!Object.hasOwn(LEVEL_GEOMETRY_TYPES, shape.type)) return `has unknown type "${shape.type}"`;
+            if (shape.type === 'rect') {
+                if (![shape.x, shape.y].every(Number.isFinite)) return 'needs numbers x and y';
+                if (!(shape.w > 0 && shape.h > 0 && Number.isFinite(shape.w + shape.h))) return 'needs w > 0 and h > 0';
+            } else {
+                const [min, max] = LEVEL_GEOMETRY_TYPES[shape.type];
+                if (!Array.isArray(shape.points) || shape.points.length < min || shape.points.length > max) {
+                    return min === max ? `needs ${min} points` : `needs at least ${min} points`;
+                }
+                const bad = shape.points.findIndex(p => !isPoint(p));
+                if (bad >= 0) return `point ${bad} is not [x, y]: ${JSON.stringify(shape.points[bad])}`;
+            }
+            if (!Number.isInteger(shape.wallType) || shape.wallType < 1 || shape.wallType > WALL_TEXTURE_COUNT) {
+                return `needs wallType 1-${WALL_TEXTURE_COUNT}, got ${JSON.stringify(shape.wallType)}`;
+            }
+            if (shape.z !== undefined && !(shape.z >= 0)) return 'needs z >= 0';
+            if (shape.height !== undefined && !(shape.height > 0)) return 'needs height > 0';
+            return null;
+        });
+        eachEntry('doors', true, door => {
+            if (!isDoorCell([door.x, door.y])) return 'is not a door cell';
+            if (door.mode !== undefined && !['slide', 'swing'].includes(door.mode)) return `has unknown mode "${door.mode}"`;
+            return null;
+        });
+        eachEntry('triggers', true, trigger => {
+            switch (trigger.type) {
+                case 'lock':
+                    return isDoorCell([trigger.x, trigger.y]) ? null : 'is not a door cell';
+                case 'key':
+                    return typeof trigger.key === 'string' ? null : 'needs a key name';
+                case 'switch':
+                    if (!isSolid(trigger.x, trigger.y)) return 'is not a wall cell';
+                    // falls through
+                case 'plate':
+                    if (trigger.targets !== undefined && !Array.isArray(trigger.targets)) return 'needs targets [[x, y], ...]';
+                    return (trigger.targets || []).every(isDoorCell) ? null : 'targets a cell without a door';
+                case 'exit':
+                    return typeof trigger.level === 'string' ? null : 'needs a level to load';
+                case 'checkpoint':
+                    return isSolid(trigger.x, trigger.y) ? 'is inside a wall' : null;
+                default:
+                    return `has unknown type "${trigger.type}"`;
+            }
+        });
+        eachEntry('patrols', true, patrol => {
+            if (!(def.layers.sprites?.[patrol.y][patrol.x] > 0)) return 'has no sprite';
+            if (!Array.isArray(patrol.waypoints) || patrol.waypoints.length === 0) return 'needs waypoints';
+            const notCell = patrol.waypoints.find(p => !Array.isArray(p) || p.length !== 2 || !p.every(Number.isInteger));
+            if (notCell) return `has a waypoint that is not a cell [x, y]: ${JSON.stringify(notCell)}`;
+            const outside = patrol.waypoints.find(p => !inBounds(p[0], p[1]));
+            return outside ? `has a waypoint outside the map: ${JSON.stringify(outside)}` : null;
+        });
+        eachEntry('lights', true, light => {
+            if (isSolid(light.x, light.y)) return 'is inside a wall';
+            if (light.radius !== undefined && !(light.radius > 0)) return 'needs radius > 0';
+            if (light.color !== undefined && !(Array.isArray(light.color) && light.color.length === 3)) return 'needs color [r, g, b]';
+            return null;
+        });
+    }
+
+    // Plain level definition (a copy) in the JSON level format
+    toDefinition() {
+        const layers = {};
+        for (const name in this.layers) layers[name] = this.layers[name].map(row => row.slice());
+        return JSON.parse(JSON.stringify({
+            name: this.name,
+            width: this.width,
+            height: this.height,
+            spawn: this.spawn,
+            sky: this.sky,
+            textures: this.textures,
+            layers,
+            heights: this.heights,
+            geometry: this.geometry,
+            doors: this.doors,
+            triggers: this.triggers,
+            patrols: this.patrols,
+            lights: this.lights,
+            fog: this.fog ?? undefined,
+        }));
+    }
+
+    /**
+     * JSON text for a level definition: layer rows and list entries one per line,
+     * so level files stay readable and diff well
+     */
+    static stringify(def) {
+        const lines = ['{'];
+        const keys = Object.keys(def);
+        keys.forEach((key, i) => {
+            const comma = i < keys.length - 1 ? ',' : '';
+            const value = def[key];
+            if (key === 'layers') {
+                lines.push('    "layers": {');
+                const names = Object.keys(value);
+                names.forEach((name, j) => {
+                    lines.push(`        ${JSON.stringify(name)}: [`);
+                    value[name].forEach((row, r) => {
+                        lines.push(`            ${JSON.stringify(row)}${r < value[name].length - 1 ? ',' : ''}`);
+                    });
+                    lines.push(`        ]${j < names.length - 1 ? ',' : ''}`);
+                });
+                lines.push(`    }${comma}`);
+            } else if (Array.isArray(value) && value.length > 0) {
+                lines.push(`    ${JSON.stringify(key)}: [`);
+                value.forEach((entry, j) => {
+                    lines.push(`        ${JSON.stringify(entry)}${j < value.length - 1 ? ',' : ''}`);
+                });
+                lines.push(`    ]${comma}`);
+            } else {
+                lines.push(`    ${JSON.stringify(key)}: ${JSON.stringify(value)}${comma}`);
+            }
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    // Value of a layer at a cell (0 outside the map)
+    cellAt(layer, x, y) {
+        return this.layers[layer][y]?.[x] ?? 0;
+    }
+
+    /**
+     * Get height at any world position based on slopes and custom cell heights
+     * Supports multi-level slopes for continuous ramps
+     * fromZ: height of whatever is asking (e.g. feet + step height); platforms above it are ignored
+     */
+    heightAt(worldX, worldY, fromZ = Infinity) {
+        const cellX = Math.floor(worldX / SLOPE_TILE_SIZE);
+        const cellY = Math.floor(worldY / SLOPE_TILE_SIZE);
+
+        // Custom height cells (see g_map_heights): stand on the top, unless fromZ is
+        // below the underside of a floating platform
+        const cell = this.cellHeights[cellX + cellY * this.width];
+        if (cell && cell.z <= fromZ && this.cellAt('walls', cellX, cellY) > 0) return cell.z + cell.height;
+
+        const slopeValue = this.cellAt('slopes', cellX, cellY);
+        if (slopeValue === SLOPE_TYPE_NONE) return 0;
+
+        // Decode level and direction from slope value
+        const level = Math.floor(slopeValue / 10);
+        const direction = slopeValue % 10;
+        const baseHeight = level * SLOPE_TILE_SIZE;
+
+        const localX = (worldX % SLOPE_TILE_SIZE) / SLOPE_TILE_SIZE;
+        const localY = (worldY % SLOPE_TILE_SIZE) / SLOPE_TILE_SIZE;
+
+        switch (direction) {
+            case SLOPE_DIR_WEST_EAST: return baseHeight + SLOPE_TILE_SIZE * localX;
+            case SLOPE_DIR_EAST_WEST: return baseHeight + SLOPE_TILE_SIZE * (1 - localX);
+            case SLOPE_DIR_NORTH_SOUTH: return baseHeight + SLOPE_TILE_SIZE * localY;
+            case SLOPE_DIR_SOUTH_NORTH: return baseHeight + SLOPE_TILE_SIZE * (1 - localY);
+            default: return 0;
+        }
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Lighting - Point lights and the per-cell light map they add up to
+ * Lights are placed in the level (g_map_lights), carried (the player's lantern) or come
+ * with a sprite (campfires). Lights that don't flicker and don't move are baked into the
+ * light map once per level; the others are added on top every frame. A light reaches the
+ * cells it can see within its radius, fading out towards the edge. Surfaces sample the
+ * map between cell centers, so light fades smoothly across the floor.
+ */
+
+// Light defaults: radius in tiles, color 0-255, flicker = share of the intensity that wavers
+const LIGHT_DEFAULTS = { radius: 4, color: [255, 170, 90], intensity: 1, flicker: 0 };
+const LANTERN_LIGHT = { radius: 4, color: [255, 220, 160], intensity: 0.9, flicker: 0.05 };
+const FIRE_LIGHT = { radius: 5, color: [255, 140, 60], intensity: 1.2, flicker: 0.3 };
+
+/**
+ * LightMap - Light added to each cell, in ambient units (256 = full brightness per channel)
+ * canSee(x1, y1, x2, y2) tells whether light gets from one world point to another.
+ */
+class LightMap {
+    constructor(width, height, tileSize, canSee) {
+        this.width = width;
+        this.height = height;
+        this.tileSize = tileSize;
+        this.canSee = canSee;
+        this.baked = new Float32Array(width * height * 3);
+        this.values = new Float32Array(width * height * 3);
+        this.lit = new Uint8Array(width * height);  // Cells next to (or in) a lit cell
+        this.visibility = new Map();                // 'x,y,radius' -> cells seen from that cell
+        this.time = 0;
+        this.sample = { r: 0, g: 0, b: 0 };
+    }
+
+    // Light definition with the defaults filled in
+    static light(def, ...defaults) {
+        return Object.assign({}, LIGHT_DEFAULTS, ...defaults, def);
+    }
+
+    update(dt) {
+        this.time += dt;
+    }
+
+    // Bake lights that hold still into the map (walls are taken as they are now)
+    bake(lights) {
+        this.baked.fill(0);
+        this.visibility.clear();
+        for (const light of lights) this.addLight(this.baked, light, 1);
+    }
+
+    // Start a frame from the baked lights; add the moving and flickering ones after
+    begin() {
+        this.values.set(this.baked);
+    }
+
+    // Add a light at world x, y for this frame
+    add(light, x, y) {
+        let strength = 1;
+        if (light.flicker > 0) {
+            // Two out-of-step waves per light, phased by position so lights don't pulse together
+            const phase = x * 0.13 + y * 0.07;
+            const wave = Math.sin(this.time * 11 + phase) * Math.sin(this.time * 4.3 + phase * 2);
+            strength = 1 - light.flicker * (0.5 + 0.5 * wave);
+        }
+        this.addLight(this.values, { ...light, x, y }, strength);
+    }
+
+    // Mark cells whose light map value (or a neighbor's) is nonzero; call once all lights are in
+    finish() {
+        const { width, height, values, lit } = this;
+        lit.fill(0);
+        for (let cy = 0; cy < height; cy++) {
+            for (let cx = 0; cx < width; cx++) {
+                const i = (cx + cy * width) * 3;
+                if (values[i] + values[i + 1] + values[i + 2] <= 0) continue;
+                for (let ny = Math.max(0, cy - 1); ny <= Math.min(height - 1, cy + 1); ny++) {
+                    for (let nx = Math.max(0, cx - 1); nx <= Math.min(width - 1, cx + 1); nx++) {
+                        lit[nx + ny * width] = 1;
+                    }
+                }
+            }
+        }
+    }
+
+    // Add light (x, y in world units) to map, scaled by strength
+    addLight(map, light, strength) {
+        const TS = this.tileSize;
+        const lx = light.x / TS;
+        const ly = light.y / TS;
+        const scale = light.intensity * strength * 256 / 255;
+        for (const cell of this.visibleCells(Math.floor(lx), Math.floor(ly), light.radius)) {
+            const dist = Math.hypot(cell.x + 0.5 - lx, cell.y + 0.5 - ly);
+            if (dist >= light.radius) continue;
+            const falloff = (1 - dist / light.radius) * scale;
+            const i = (cell.x + cell.y * this.width) * 3;
+            map[i] += light.color[0] * falloff;
+            map[i + 1] += light.color[1] * falloff;
+            map[i + 2] += light.color[2] * falloff;
+        }
+    }
+
+    // Cells within radius that can see the center of cell cx, cy (cached). A wall cell counts
+    // when its side facing the light is seen, so wall faces and tops pick up light too.
+    visibleCells(cx, cy, radius) {
+        const key = `${cx},${cy},${radius}`;
+        let cells = this.visibility.get(key);
+        if (cells) return cells;
+
+        cells = [];
+        const TS = this.tileSize;
+        const fromX = (cx + 0.5) * TS;
+        const fromY = (cy + 0.5) * TS;
+        const reach = Math.ceil(radius);
+        for (let y = Math.max(0, cy - reach); y <= Math.min(this.height - 1, cy + reach); y++) {
+            for (let x = Math.max(0, cx - reach); x <= Math.min(this.width - 1, cx + reach); x++) {
+                // Point just outside the cell on the side nearest to the light
+                const toX = Math.max(x * TS - 1, Math.min((x + 1) * TS + 1, fromX));
+                const toY = Math.max(y * TS - 1, Math.min((y + 1) * TS + 1, fromY));
+                if ((x === cx && y === cy) || this.canSee(fromX, fromY, toX, toY)) cells.push({ x, y });
+            }
+        }
+        this.visibility.set(key, cells);
+        return cells;
+    }
+
+    // Light at world x, y, blended between the four nearest cell centers (into this.sample)
+    sampleAt(x, y) {
+        const fx = Math.max(0, Math.min(this.width - 1, x / this.tileSize - 0.5));
+        const fy = Math.max(0, Math.min(this.height - 1, y / this.tileSize - 0.5));
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, this.width - 1);
+        const y1 = Math.min(y0 + 1, this.height - 1);
+        const tx = fx - x0;
+        const ty = fy - y0;
+        const v = this.values;
+        const i00 = (x0 + y0 * this.width) * 3;
+        const i10 = (x1 + y0 * this.width) * 3;
+        const i01 = (x0 + y1 * this.width) * 3;
+        const i11 = (x1 + y1 * this.width) * 3;
+        const w00 = (1 - tx) * (1 - ty);
+        const w10 = tx * (1 - ty);
+        const w01 = (1 - tx) * ty;
+        const w11 = tx * ty;
+        const s = this.sample;
+        s.r = v[i00] * w00 + v[i10] * w10 + v[i01] * w01 + v[i11] * w11;
+        s.g = v[i00 + 1] * w00 + v[i10 + 1] * w10 + v[i01 + 1] * w01 + v[i11 + 1] * w11;
+        s.b = v[i00 + 2] * w00 + v[i10 + 2] * w10 + v[i01 + 2] * w01 + v[i11 + 2] * w11;
+        return s;
+    }
+
+    // Whether anything lights world x, y (cheap check before sampleAt)
+    isLit(x, y) {
+        const cx = Math.floor(x / this.tileSize);
+        const cy = Math.floor(y / this.tileSize);
+        return cx >= 0 && cx < this.width && cy >= 0 && cy < this.height && this.lit[cx + cy * this.width] === 1;
+    }
+}
@@ -12,5 +12,5 @@ window.addEventListener('DOMContentLoaded', async () => {
     await game.start();
 
     console.log('Game started!');
-    console.log('Controls: Click=Mouse Look, WASD=Move/Strafe, Space=Jump, F=Doors, M=Minimap, ESC=Release');
+    console.log('Controls: Click=Mouse Look, WASD=Move/Strafe, Shift=Sprint, Space=Jump, Click/X=Attack, 1/2=Sword/Crossbow, F=Use/Pick up, L=Lantern, I=Inventory, M=Minimap, E=Editor, K=Controls, ESC=Release');
 });
@@ -6,55 +6,8 @@
 const MAP_WIDTH = 64;
 const MAP_HEIGHT = 48;
 
-// ============================================================================
-// SLOPE TYPE CONSTANTS
-// ============================================================================
-// Slope values encode both direction and level:
-//   Direction (last digit): 1=WEST_EAST, 2=EAST_WEST, 3=NORTH_SOUTH, 4=SOUTH_NORTH
-//   Level (tens digit): 0=ground to 64, 1=64 to 128, 2=128 to 192, etc.
-//
-// Examples:
-//   1 = Level 0 WEST_EAST (height 0 → 64)
-//   11 = Level 1 WEST_EAST (height 64 → 128)
-//   21 = Level 2 WEST_EAST (height 128 → 192)
-//   2 = Level 0 EAST_WEST (height 64 → 0, descending)
-//   12 = Level 1 EAST_WEST (height 128 → 64, descending)
-// ============================================================================
-const SLOPE_TYPE_NONE = 0;
-const SLOPE_DIR_WEST_EAST = 1;      // Rises west to east (+X)
-const SLOPE_DIR_EAST_WEST = 2;      // Rises east to west (-X)
-const SLOPE_DIR_NORTH_SOUTH = 3;    // Rises north to south (+Y)
-const SLOPE_DIR_SOUTH_NORTH = 4;    // Rises south to north (-Y)
-
 const SLOPE_TILE_SIZE = 64;  // Must match Game.TILE_SIZE
 
-/**
- * Get height at any world position based on slope map
- * Supports multi-level slopes for continuous ramps
- */
-function getHeightAt(worldX, worldY) {
-    const cellX = Math.floor(worldX / SLOPE_TILE_SIZE);
-    const cellY = Math.floor(worldY / SLOPE_TILE_SIZE);
-    const slopeValue = g_map_slopes[cellY]?.[cellX] ?? SLOPE_TYPE_NONE;
-    if (slopeValue === SLOPE_TYPE_NONE) return 0;
-
-    // Decode level and direction from slope value
-    const level = Math.floor(slopeValue / 10);
-    const direction = slopeValue % 10;
-    const baseHeight = level * SLOPE_TILE_SIZE;
-
-    const localX = (worldX % SLOPE_TILE_SIZE) / SLOPE_TILE_SIZE;
-    const localY = (worldY % SLOPE_TILE_SIZE) / SLOPE_TILE_SIZE;
-
-    switch (direction) {
-        case SLOPE_DIR_WEST_EAST: return baseHeight + SLOPE_TILE_SIZE * localX;
-        case SLOPE_DIR_EAST_WEST: return baseHeight + SLOPE_TILE_SIZE * (1 - localX);
-        case SLOPE_DIR_NORTH_SOUTH: return baseHeight + SLOPE_TILE_SIZE * localY;
-        case SLOPE_DIR_SOUTH_NORTH: return baseHeight + SLOPE_TILE_SIZE * (1 - localY);
-        default: return 0;
-    }
-}
-
 // Ground level map (level 0)
 // 0 = empty, 1-4 = wall textures, 1001/1501 = doors
 const g_map = [
@@ -79,9 +32,9 @@ const g_map = [
     [1,0,0,0,0,0,0,0,0,1,1,1,1,1501,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
     [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
     [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2,2,0,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
     [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
     [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
     [1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
@@ -223,11 +176,12 @@ const g_map_walltops = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
 ];
 
 // Slope map - defines slope tiles (ramps)
-// 0 = no slope, 1-4 = slope direction (see SLOPE_TYPE constants)
+// 0 = no slope, 1-4 = slope direction (see SLOPE_TYPE constants in raycaster.js)
 // Slope at row 24, columns 30-32: continuous ramp (1→11→21) = height 0→64→128→192
 const g_map_slopes = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
@@ -275,9 +229,135 @@ const g_map_slopes = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
 ];
 
+// ============================================================================
+// CELL HEIGHT MAP
+// ============================================================================
+// Per-cell geometry for level 0 walls (cells with a wall in g_map):
+//   z      = base height of the wall (0 = on the ground, > 0 = floating platform)
+//   height = wall height in world units (SLOPE_TILE_SIZE = one full level)
+// Cells not listed keep the default: z = 0, height = one tile.
+// Walls with a custom height are walkable: the player steps up small differences,
+// lands on them after a jump and walks under floating platforms.
+// ============================================================================
+const g_map_heights = [
+    // Half-height crates (row 21)
+    { x: 40, y: 21, z: 0, height: 32 },
+    { x: 41, y: 21, z: 0, height: 32 },
+    // Tall towers (row 21)
+    { x: 43, y: 21, z: 0, height: 192 },
+    { x: 44, y: 21, z: 0, height: 128 },
+    // Stairs: raised floors climbing one step height at a time (row 23)
+    { x: 40, y: 23, z: 0, height: 16 },
+    { x: 41, y: 23, z: 0, height: 32 },
+    { x: 42, y: 23, z: 0, height: 48 },
+    { x: 43, y: 23, z: 0, height: 64 },
+    // Floating platforms over open space (row 22)
+    { x: 46, y: 22, z: 96, height: 16 },
+    { x: 47, y: 22, z: 96, height: 16 },
+    { x: 48, y: 22, z: 112, height: 16 },
+];
+
+// ============================================================================
+// FREE-FORM GEOMETRY
+// ============================================================================
+// Walls that don't follow the grid, built by Raycaster.loadGeometry:
+//   { type: 'wall', points: [[x, y], ...] }     thin wall polyline (both sides visible)
+//   { type: 'rect', x, y, w, h }                 solid box
+//   { type: 'triangle', points: [3 points] }     solid triangle
+//   { type: 'quad', points: [4 points] }         solid convex quad
+// Positions are in tiles (fractions allowed). Every entry takes:
+//   wallType = wall atlas texture (1-4, like g_map)
+//   z, height = base and height in world units (default 0 and one tile)
+//   topStyle = wall top style of solid shapes (see g_map_walltops values)
+// ============================================================================
+const g_map_geometry = [
+    // Diagonal wall
+    { type: 'wall', points: [[4, 36], [9, 41]], wallType: 2 },
+    // Pillars
+    { type: 'rect', x: 12.25, y: 37.25, w: 0.5, h: 0.5, wallType: 3, height: 128 },
+    { type: 'rect', x: 14.25, y: 37.25, w: 0.5, h: 0.5, wallType: 3, height: 128 },
+    // Triangular room, open at the lower end of its east side
+    { type: 'wall', points: [[24, 40], [26, 36], [20, 36], [23, 42]], wallType: 4 },
+    // Solid triangle and a low quad platform
+    { type: 'triangle', points: [[13, 43], [17, 43], [15, 40]], wallType: 1, topStyle: -2 },
+    { type: 'quad', points: [[28, 41], [32, 40.5], [33, 43], [28.5, 43.5]], wallType: 2, height: 16 },
+];
+
+// ============================================================================
+// DOORS
+// ============================================================================
+// Door cells are the 1001+ values in g_map (1001-1500 run along y, 1501+ along x).
+// Entries here override a door's behaviour:
+//   mode           = 'slide' (panel slides into the wall) or 'swing' (turns on a hinge)
+//   duration       = seconds to open or close
+//   autoCloseDelay = seconds before an open door closes again (0 = stays open)
+// Unlisted doors slide, open in one second and close after four.
+// A door never closes on the player or a sprite standing in its doorway.
+// ============================================================================
+const g_map_doors = [
+    { x: 5, y: 7, mode: 'swing', duration: 0.8 },
+    { x: 26, y: 8, autoCloseDelay: 0 },
+    { x: 41, y: 34, mode: 'slide', duration: 2, autoCloseDelay: 1 },
+];
+
+// ============================================================================
+// TRIGGERS
+// ============================================================================
+// Interactive cells, fired by the use key (F) or by walking over them:
+//   { type: 'lock', x, y, key }           door that needs the key item to open;
+//                                         without key it only opens from a switch or plate
+//   { type: 'key', x, y, key }            key item lying on a floor cell, picked up on touch
+//   { type: 'switch', x, y, targets }     switch on a wall cell, use toggles the target doors
+//   { type: 'plate', x, y, targets }      pressure plate on a floor cell, holds the target
+//                                         doors open while the player or a sprite stands on it
+//   { type: 'exit', x, y, level }         floor cell that loads another level when stepped on
+//                                         ('default' = this built-in level, else a JSON URL)
+//   { type: 'checkpoint', x, y }          floor cell that becomes the respawn point when
+//                                         stepped on (until then the level spawn)
+// targets are door cells as [[x, y], ...]
+// ============================================================================
+const g_map_triggers = [
+    { type: 'lock', x: 13, y: 18, key: 'red' },
+    { type: 'key', x: 8, y: 10, key: 'red' },
+    { type: 'lock', x: 26, y: 8 },
+    { type: 'switch', x: 15, y: 10, targets: [[26, 8]] },
+    { type: 'plate', x: 41, y: 36, targets: [[41, 34]] },
+    { type: 'exit', x: 1, y: 9, level: 'levels/courtyard.json' },
+    { type: 'checkpoint', x: 22, y: 20 },
+    { type: 'checkpoint', x: 41, y: 38 },
+];
+
+// ============================================================================
+// PATROLS
+// ============================================================================
+// Waypoint loops for the enemy sprites (g_spritemap 2 and 3), keyed by the cell the
+// enemy starts on: { x, y, waypoints: [[x, y], ...] }
+// Enemies without a patrol stand guard at their start cell.
+// ============================================================================
+const g_map_patrols = [
+    { x: 21, y: 5, waypoints: [[21, 5], [21, 10], [17, 10], [17, 5]] },
+    { x: 14, y: 14, waypoints: [[11, 14], [17, 16]] },
+];
+
+// ============================================================================
+// LIGHTS
+// ============================================================================
+// Point lights on floor cells: { x, y, radius, color: [r, g, b], intensity, flicker }
+// Everything but x, y is optional (see LIGHT_DEFAULTS in lighting.js). Lights without
+// flicker are baked into the light map when the level loads.
+// ============================================================================
+const g_map_lights = [
+    { x: 11, y: 14 },
+    { x: 17, y: 16 },
+    { x: 26, y: 5, flicker: 0.15 },
+    { x: 41, y: 31, radius: 3, color: [120, 170, 255] },
+];
+
 // Slope at row 24 (middle of map), columns 30-32: continuous ramp 0→64→128→192
 // To modify: edit row 24 in g_map_slopes array above (currently at line ~256)
 // Values: 1 (level 0), 11 (level 1), 21 (level 2)
@@ -387,28 +467,32 @@ const g_ceilingmap = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
 ];
 
-// Sprite placement map (0 = empty, 1 = tree/barrel, 2 = skeleton, 3 = druid)
+// Sprite placement map (0 = empty, 1 = tree/barrel, 2 = skeleton, 3 = druid, 9 = campfire,
+// items: 4 = food, 5 = crossbow bolts, 6 = wood, 7 = stone, 8 = water, see ITEM_TYPES)
 const g_spritemap = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,4,0,0,0,0,0,0,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,9,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,6,6,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,9,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
@@ -417,15 +501,12 @@ const g_spritemap = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
@@ -439,6 +520,42 @@ const g_spritemap = [
     [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
 ];
 
+// ============================================================================
+// BUILT-IN LEVEL
+// ============================================================================
+// The arrays above bundled in the JSON level format (see Level in level.js), so the
+// game runs without a web server. More levels live in levels/*.json.
+// ============================================================================
+const g_level_default = {
+    name: 'Default',
+    width: MAP_WIDTH,
+    height: MAP_HEIGHT,
+    spawn: { x: 2.5, y: 2.5, rot: 0 },
+    sky: 'night_sky_2.png',
+    textures: {
+        walls: 'walls4.bmp',
+        wallsDark: 'walls4dark.bmp',
+        floor: 'mossycobble.bmp',
+        ceiling: 'default_brick.bmp',
+        gates: 'gates.bmp',
+    },
+    layers: {
+        walls: g_map,
+        walls2: g_map2,
+        walltops: g_map_walltops,
+        slopes: g_map_slopes,
+        floor: g_floormap,
+        ceiling: g_ceilingmap,
+        sprites: g_spritemap,
+    },
+    heights: g_map_heights,
+    geometry: g_map_geometry,
+    doors: g_map_doors,
+    triggers: g_map_triggers,
+    patrols: g_map_patrols,
+    lights: g_map_lights,
+};
+
 // Convert 2D arrays to 1D for easier access
 function flattenMap(map2d) {
     const flat = [];
@@ -11,7 +11,25 @@ const THICK_WALL_TYPE_RECT = 1;
 const THICK_WALL_TYPE_TRIANGLE = 2;
 const THICK_WALL_TYPE_QUAD = 3;
 
-// Note: SLOPE_TYPE constants are defined in maps.js
+// ============================================================================
+// SLOPE TYPE CONSTANTS
+// ============================================================================
+// Slope values encode both direction and level:
+//   Direction (last digit): 1=WEST_EAST, 2=EAST_WEST, 3=NORTH_SOUTH, 4=SOUTH_NORTH
+//   Level (tens digit): 0=ground to 64, 1=64 to 128, 2=128 to 192, etc.
+//
+// Examples:
+//   1 = Level 0 WEST_EAST (height 0 → 64)
+//   11 = Level 1 WEST_EAST (height 64 → 128)
+//   21 = Level 2 WEST_EAST (height 128 → 192)
+//   2 = Level 0 EAST_WEST (height 64 → 0, descending)
+//   12 = Level 1 EAST_WEST (height 128 → 64, descending)
+// ============================================================================
+const SLOPE_TYPE_NONE = 0;
+const SLOPE_DIR_WEST_EAST = 1;      // Rises west to east (+X)
+const SLOPE_DIR_EAST_WEST = 2;      // Rises east to west (-X)
+const SLOPE_DIR_NORTH_SOUTH = 3;    // Rises north to south (+Y)
+const SLOPE_DIR_SOUTH_NORTH = 4;    // Rises south to north (-Y)
 
 /**
  * ThinWall - Represents a line segment wall
@@ -23,7 +41,8 @@ class ThinWall {
         this.x2 = x2;
         this.y2 = y2;
         this.wallType = wallType;
-        this.horizontal = false;
+        // Mostly east-west walls use the dark atlas, like horizontal grid faces
+        this.horizontal = Math.abs(x2 - x1) >= Math.abs(y2 - y1);
         this.height = wallHeight;
         this.z = 0;
         this.slope = 0;
@@ -82,6 +101,37 @@ class ThickWall {
         this.thinWalls.forEach(tw => tw.z = z);
     }
 
+    createTriangleThickWall(points, z, wallHeight) {
+        this.type = THICK_WALL_TYPE_TRIANGLE;
+        this.createPolygonThinWalls(points.slice(0, 3), z, wallHeight);
+    }
+
+    createQuadThickWall(points, z, wallHeight) {
+        this.type = THICK_WALL_TYPE_QUAD;
+        this.createPolygonThinWalls(points.slice(0, 4), z, wallHeight);
+    }
+
+    // One thin wall per polygon edge, plus the bounding box in x/y/w/h
+    createPolygonThinWalls(points, z, wallHeight) {
+        this.points = points;
+        this._z = z;
+        this._height = wallHeight;
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        this.x = Math.min(...xs);
+        this.y = Math.min(...ys);
+        this.w = Math.max(...xs) - this.x;
+        this.h = Math.max(...ys) - this.y;
+
+        this.thinWalls = points.map((p, i) => {
+            const next = points[(i + 1) % points.length];
+            const thinWall = new ThinWall(p.x, p.y, next.x, next.y, 1, this, wallHeight);
+            thinWall.z = z;
+            return thinWall;
+        });
+    }
+
     setZ(z) {
         this._z = z;
         this.thinWalls.forEach(tw => tw.z = z);
@@ -120,9 +170,11 @@ class ThickWall {
  * Sprite - A renderable object in the world
  */
 class Sprite {
-    constructor() {
-        this.x = 0;
-        this.y = 0;
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;         // Position before the last update, for render interpolation
+        this.prevY = y;
         this.z = 0;
         this.w = 0;
         this.h = 0;
@@ -137,10 +189,122 @@ class Sprite {
         this.cleanup = false;
         this.frameRate = 0;
         this.frame = 0;
+        this.animation = null;  // Playing SPRITE_ANIMATIONS name, for sprites with a sheet
+        this.animationTime = 0;
         this.hidden = false;
         this.jumping = false;
         this.heightJumped = 0;
         this.rayhit = false;
+        this.health = 0;
+        this.flashTimer = 0;    // Seconds left drawing the hit flash
+    }
+}
+
+/**
+ * Door - An animated door filling one grid cell
+ * The panel is a ThinWall through the middle of the cell, rebuilt as the door moves:
+ * 'slide' doors shift it sideways into the wall, 'swing' doors rotate it around a hinge.
+ * Vertical doors (isVerticalDoor) run along y, horizontal doors along x.
+ */
+class Door {
+    constructor(cellX = 0, cellY = 0, wallType = 0, tileSize = 0) {
+        this.cellX = cellX;
+        this.cellY = cellY;
+        this.wallType = wallType;
+        this.tileSize = tileSize;
+        this.vertical = Raycaster.isVerticalDoor(wallType);
+        this.mode = 'slide';        // 'slide' or 'swing'
+        this.duration = 1;          // Seconds to fully open or close
+        this.autoCloseDelay = 4;    // Seconds to stay open, 0 = stay open
+        this.openness = 0;          // 0 = closed, 1 = fully open
+        this.opening = false;
+        this.openTime = 0;
+        this.locked = false;
+        this.lockKey = null;        // Item that unlocks it (null = only switches and plates open it)
+        this.thinWall = null;
+        this.updatePanel();
+    }
+
+    isClosed() {
+        return this.openness === 0;
+    }
+
+    isOpen() {
+        return this.openness === 1;
+    }
+
+    toggle() {
+        this.opening = !this.opening;
+        this.openTime = 0;
+    }
+
+    // Start opening, or keep an open door from closing
+    open() {
+        this.opening = true;
+        this.openTime = 0;
+    }
+
+    /**
+     * Whether a body at world (x, y) stands where the door moves: its cell,
+     * or for swing doors the quarter the panel turns through
+     */
+    occupies(x, y) {
+        const ts = this.tileSize;
+        const u = this.vertical ? y : x;
+        const v = this.vertical ? x : y;
+        const u0 = (this.vertical ? this.cellY : this.cellX) * ts;
+        const v0 = (this.vertical ? this.cellX : this.cellY) * ts;
+        if (u < u0 || u >= u0 + ts) return false;
+        const vEnd = this.mode === 'swing' ? v0 + ts / 2 + ts : v0 + ts;
+        return v >= v0 && v < vEnd;
+    }
+
+    /**
+     * Advance the animation by dt seconds. An occupied doorway (player or sprite
+     * inside the cell) holds the door open and reopens it while closing.
+     */
+    update(dt, occupied = false) {
+        if (occupied && !this.opening && this.openness > 0) this.opening = true;
+
+        const step = this.duration > 0 ? dt / this.duration : 1;
+        const openness = this.opening ?
+            Math.min(1, this.openness + step) :
+            Math.max(0, this.openness - step);
+
+        if (this.opening && openness === 1 && this.autoCloseDelay > 0) {
+            this.openTime = occupied ? 0 : this.openTime + dt;
+            if (this.openTime >= this.autoCloseDelay) this.toggle();
+        }
+
+        if (openness !== this.openness) {
+            this.openness = openness;
+            this.updatePanel();
+        }
+    }
+
+    updatePanel() {
+        const ts = this.tileSize;
+        const half = ts / 2;
+        // Work along the door (u) and across it (v), then map to world x/y
+        const u0 = (this.vertical ? this.cellY : this.cellX) * ts;
+        const v = (this.vertical ? this.cellX : this.cellY) * ts + half;
+        let a, b;  // Free end first, so ThinWall.distanceToOrigin is the texture offset
+        if (this.mode === 'swing') {
+            const angle = this.openness * Math.PI / 2;
+            a = { u: u0 + ts - Math.cos(angle) * ts, v: v + Math.sin(angle) * ts };
+            b = { u: u0 + ts, v };
+        } else {
+            if (this.openness === 1) {
+                this.thinWall = null;
+                return;
+            }
+            a = { u: u0 + this.openness * ts, v };
+            b = { u: u0 + ts, v };
+        }
+
+        this.thinWall = this.vertical ?
+            new ThinWall(a.v, a.u, b.v, b.u, this.wallType, null, ts) :
+            new ThinWall(a.u, a.v, b.u, b.v, this.wallType, null, ts);
     }
 }
 
@@ -174,6 +338,11 @@ class RayHit {
         this.siblingCorrectDistance = 0;
         this.siblingThinWallZ = 0;
         this.siblingInvertedZ = 0;
+        this.backFace = false;      // Ray is leaving the cell rather than entering it
+        this.door = false;
+        this.doorOpen = false;
+        this.slope = 0;             // Slope value for slope cell hits (see maps.js)
+        this.wallZ = 0;             // Bottom of the face (wallHeight is its height)
     }
 
     copySibling(rayHit2) {
@@ -212,6 +381,76 @@ class Raycaster {
         this.gridHeight = gridHeight;
         this.gridCount = 0;
         this.tileSize = tileSize;
+        this.doors = {};     // Door objects keyed by cell offset (x + y * gridWidth), see setDoors
+        this.doorList = [];  // The same doors in an array, for walking every panel
+        this.slopes = null;  // Optional flat slope grid (same layout as grids)
+        this.cellHeights = {};  // Ground level {z, height} overrides keyed by cell offset
+        this.thinWalls = [];    // Free-form wall segments, including the sides of thickWalls
+        this.thickWalls = [];   // Solid polygons (rect, triangle, quad)
+    }
+
+    /**
+     * Build free-form geometry from map declarations (see g_map_geometry in maps.js).
+     * Positions are in tiles, z and height in world units (height defaults to one tile).
+     */
+    loadGeometry(defs) {
+        const tileSize = this.tileSize;
+        this.thinWalls = [];
+        this.thickWalls = [];
+
+        for (const def of defs) {
+            const z = def.z || 0;
+            const height = def.height ?? tileSize;
+            const points = (def.points || []).map(([x, y]) => ({ x: x * tileSize, y: y * tileSize }));
+
+            if (def.type === 'wall') {
+                // Polyline of thin walls, visible from both sides
+                for (let i = 0; i + 1 < points.length; i++) {
+                    const thinWall = new ThinWall(points[i].x, points[i].y, points[i + 1].x, points[i + 1].y,
+                        def.wallType, null, height);
+                    thinWall.z = z;
+                    this.thinWalls.push(thinWall);
+                }
+                continue;
+            }
+
+            const thickWall = new ThickWall();
+            if (def.type === 'rect') {
+                thickWall.createRectThickWall(def.x * tileSize, def.y * tileSize, def.w * tileSize, def.h * tileSize, z, height);
+            } else if (def.type === 'triangle') {
+                thickWall.createTriangleThickWall(points, z, height);
+            } else if (def.type === 'quad') {
+                thickWall.createQuadThickWall(points, z, height);
+            } else {
+                throw new Error(`Unknown geometry type "${def.type}"`);
+            }
+            thickWall.setThinWallsType(def.wallType);
+            thickWall.ceilingTextureID = def.topStyle || 0;
+            this.thickWalls.push(thickWall);
+            this.thinWalls.push(...thickWall.thinWalls);
+        }
+    }
+
+    /**
+     * Thin walls crossed by the segment from (x1, y1) to (x2, y2)
+     */
+    thinWallsCrossed(x1, y1, x2, y2) {
+        return this.thinWalls.filter(tw => Shape.linesIntersect(x1, y1, x2, y2, tw.x1, tw.y1, tw.x2, tw.y2));
+    }
+
+    /**
+     * Thick walls containing a point
+     */
+    thickWallsAt(x, y) {
+        return this.thickWalls.filter(tw => tw.containsPoint(x, y));
+    }
+
+    /**
+     * Use these doors (keyed by cell offset); call again after adding or removing one
+     */
+    setDoors(doors) {
+        this.doors = doors;
+        this.doorList = Object.values(doors);
     }
 
     createGrids(gridWidth, gridHeight, gridCount, tileSize) {
@@ -295,325 +534,378 @@ class Raycaster {
     }
 
     /**
-     * Check if there's space below a cell
+     * Slope value at a cell (0 = no slope)
      */
-    static anySpaceBelow(grids, gridWidth, x, y, z) {
-        for (let level = z - 1; level >= 0; level--) {
-            const offset = x + y * gridWidth;
-            if (grids[level][offset] === 0) {
-                return true;
-            }
-        }
-        return false;
+    slopeAt(x, y) {
+        if (!this.slopes || x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return 0;
+        return this.slopes[x + y * this.gridWidth] ?? 0;
     }
 
     /**
-     * Check if we need to find the next wall (for multi-level support)
+     * Height of a ramp's surface at world point (x, y) inside cell (cellX, cellY),
+     * same encoding as getHeightAt in maps.js
      */
-    static needsNextWall(grids, playerZ, tileSize, gridWidth, x, y, z) {
-        if (grids.length <= 1) return false;
-
-        const playerLevel = Math.floor(playerZ / tileSize);
-        const offset = x + y * gridWidth;
-
-        // Check if there's open space above or below
-        if (z > 0 && grids[z - 1][offset] === 0) return true;
-        if (z < grids.length - 1 && grids[z + 1][offset] === 0) return true;
-
-        return false;
+    slopeHeightAt(slope, cellX, cellY, x, y) {
+        const tileSize = this.tileSize;
+        const localX = Math.min(Math.max((x - cellX * tileSize) / tileSize, 0), 1);
+        const localY = Math.min(Math.max((y - cellY * tileSize) / tileSize, 0), 1);
+        const baseHeight = Math.floor(slope / 10) * tileSize;
+
+        switch (slope % 10) {
+            case SLOPE_DIR_WEST_EAST: return baseHeight + tileSize * localX;
+            case SLOPE_DIR_EAST_WEST: return baseHeight + tileSize * (1 - localX);
+            case SLOPE_DIR_NORTH_SOUTH: return baseHeight + tileSize * localY;
+            case SLOPE_DIR_SOUTH_NORTH: return baseHeight + tileSize * (1 - localY);
+            default: return baseHeight;
+        }
     }
 
     /**
-     * Main raycasting function - traces a single ray through the grid
+     * Cast a single ray through every grid level with a unified DDA.
+     * Returns RayHits in ray order (near to far):
+     *   - front faces, where the ray enters a solid cell
+     *   - back faces, where it leaves one (only with options.backFaces)
+     *   - every door cell it enters (hit.door, hit.doorOpen unless the door is fully closed)
+     *   - door panels it crosses (hit.door with hit.thinWall set, see Door)
+     *   - slope cells it enters and leaves (hit.slope, backFace on exit); entry hits carry
+     *     the ramp's side face, from wallZ up by wallHeight (0 where the ramp continues)
+     * Wall hits span wallZ..wallZ + wallHeight: one tile per level, or the cell's entry in
+     * cellHeights. Each custom height cell is its own volume; its front hit gets the
+     * distance where the ray leaves it in siblingDistance / siblingCorrectDistance.
+     * Free-form walls (thinWalls) and door panels crossed before the ray stops are added with hit.thinWall;
+     * a thick wall's entry hit carries its exit in the sibling fields like custom cells.
+     * Doors never block the ray, so walls behind transparent door pixels are found.
+     * Without backFaces the ray stops at the first solid full-height ground wall.
+     * Touches no DOM, so it runs headless (e.g. under Node).
+     *
+     * options:
+     *   backFaces   - report back faces and keep going past ground walls (seeing over walls)
+     *   maxDistance - stop once the next cell boundary is further than this
+     *   viewAngle   - camera angle; fills correctDistance with the fish-eye corrected distance
+     *   strip       - screen strip index stored on each hit
+     *   hits        - array to append to (a new array by default)
+     *   sprites     - also report these sprites (hit.sprite) where the ray passes within
+     *                 spriteRadius of their centre, checked in the cells the ray visits
      */
-    raycast(rayHits, playerX, playerY, playerZ, playerRot, stripAngle, stripIdx, spritesToLookFor = null) {
-        Raycaster.raycastStatic(
-            rayHits, this.grids, this.gridWidth, this.gridHeight, this.tileSize,
-            playerX, playerY, playerZ, playerRot, stripAngle, stripIdx, spritesToLookFor
-        );
-    }
+    castRay(originX, originY, rayAngle, options = {}) {
+        const backFaces = options.backFaces || false;
+        const maxDistance = options.maxDistance ?? Infinity;
+        const strip = options.strip || 0;
+        const hits = options.hits || [];
+        const cosView = options.viewAngle === undefined ? 1 : Math.cos(rayAngle - options.viewAngle);
+        const sprites = options.sprites || null;
+        const spriteRadius = options.spriteRadius ?? this.tileSize / 4;
+
+        const tileSize = this.tileSize;
+        const gridWidth = this.gridWidth;
+        const gridHeight = this.gridHeight;
+        const numLevels = this.grids.length;
+        if (numLevels === 0) return hits;
+
+        const dirX = Math.cos(rayAngle);
+        const dirY = -Math.sin(rayAngle);
+
+        // Starting cell
+        let cx = Math.floor(originX / tileSize);
+        let cy = Math.floor(originY / tileSize);
+
+        // Step directions
+        const stepX = dirX >= 0 ? 1 : -1;
+        const stepY = dirY >= 0 ? 1 : -1;
+
+        // Distance to cross one full cell
+        const tDeltaX = dirX !== 0 ? Math.abs(tileSize / dirX) : Infinity;
+        const tDeltaY = dirY !== 0 ? Math.abs(tileSize / dirY) : Infinity;
+
+        // Distance to first cell boundary
+        let tMaxX, tMaxY;
+        if (dirX > 0) {
+            tMaxX = ((cx + 1) * tileSize - originX) / dirX;
+        } else if (dirX < 0) {
+            tMaxX = (cx * tileSize - originX) / dirX;
+        } else {
+            tMaxX = Infinity;
+        }
+        if (dirY > 0) {
+            tMaxY = ((cy + 1) * tileSize - originY) / dirY;
+        } else if (dirY < 0) {
+            tMaxY = (cy * tileSize - originY) / dirY;
+        } else {
+            tMaxY = Infinity;
+        }
 
-    /**
-     * Static raycasting function
-     */
-    static raycastStatic(hits, grids, gridWidth, gridHeight, tileSize,
-                         playerX, playerY, playerZ, playerRot,
-                         stripAngle, stripIdx, spritesToLookFor = null) {
-        if (grids.length === 0) return;
-
-        let rayAngle = stripAngle + playerRot;
-
-        // Normalize angle to 0-2PI
-        while (rayAngle < 0) rayAngle += TWO_PI;
-        while (rayAngle >= TWO_PI) rayAngle -= TWO_PI;
-
-        // Determine ray direction
-        const right = (rayAngle < TWO_PI * 0.25 && rayAngle >= 0) || (rayAngle > TWO_PI * 0.75);
-        const up = rayAngle < TWO_PI * 0.5 && rayAngle >= 0;
-
-        const currentTileX = Math.floor(playerX / tileSize);
-        const currentTileY = Math.floor(playerY / tileSize);
-
-        // Process each grid level
-        for (let level = 0; level < grids.length; level++) {
-            const grid = grids[level];
-            const playerOffset = currentTileX + currentTileY * gridWidth;
-
-            // Check walls above player
-            if (level + 1 < grids.length && grids[level + 1][playerOffset] > 0) {
-                const distX = 10;
-                const distY = 10;
-                const blockDist = distX * distX + distY * distY;
-                if (blockDist) {
-                    let texX = playerY % tileSize;
-                    texX = right ? texX : tileSize - texX;
-                    const rayHit = new RayHit(playerX, playerY, rayAngle);
-                    rayHit.strip = stripIdx;
-                    rayHit.wallType = grids[level + 1][playerOffset];
-                    rayHit.wallX = currentTileX;
-                    rayHit.wallY = currentTileY;
-                    rayHit.level = level + 1;
-                    rayHit.distance = Math.sqrt(blockDist);
-                    rayHit.correctDistance = rayHit.distance * Math.cos(stripAngle);
-                    rayHit.horizontal = false;
-                    rayHit.tileX = texX;
-                    hits.push(rayHit);
-                }
+        const addHit = (dist, level, wallType, horizontal, tileX) => {
+            const rayHit = new RayHit(originX + dirX * dist, originY + dirY * dist, rayAngle);
+            rayHit.strip = strip;
+            rayHit.wallX = cx;
+            rayHit.wallY = cy;
+            rayHit.wallType = wallType;
+            rayHit.level = level;
+            rayHit.horizontal = horizontal;
+            rayHit.tileX = tileX;
+            rayHit.distance = dist;
+            rayHit.sortdistance = dist;
+            rayHit.correctDistance = dist * cosView;
+            rayHit.wallZ = level * tileSize;
+            rayHit.wallHeight = tileSize;
+            rayHit.right = dirX > 0;
+            rayHit.up = dirY < 0;
+            hits.push(rayHit);
+            return rayHit;
+        };
+
+        // Sprites standing in the current cell that the ray passes close enough to
+        const addSpriteHits = () => {
+            for (const sprite of Raycaster.findSpritesInCell(sprites, cx, cy, tileSize)) {
+                if (sprite.hidden || sprite.cleanup) continue;
+                const distX = sprite.x - originX, distY = sprite.y - originY;
+                const along = distX * dirX + distY * dirY;
+                if (along <= 0 || along > maxDistance || Math.abs(distX * dirY - distY * dirX) > spriteRadius) continue;
+                hits.push(RayHit.spriteRayHit(sprite, distX, distY, strip,
+                    options.viewAngle === undefined ? 0 : rayAngle - options.viewAngle));
             }
+        };
+
+        // Custom height volume of a solid cell at a level (null for full tiles)
+        const customAt = (offset, level, wall) =>
+            (level === 0 && wall > 0 && !Raycaster.isDoor(wall) && this.cellHeights[offset]) || null;
+        const setCustom = (rayHit, custom) => {
+            rayHit.wallZ = custom.z;
+            rayHit.wallHeight = custom.height;
+        };
+
+        // Solid state of the starting cell (for each level)
+        const prevWalls = [];
+        const prevCustom = [];
+        const entryHits = [];
+        const startOffset = cx + cy * gridWidth;
+        for (let level = 0; level < numLevels; level++) {
+            const startWall = this.cellAt(cx, cy, level);
+            prevWalls[level] = (startWall > 0 && !Raycaster.isDoor(startWall)) ? startWall : 0;
+            prevCustom[level] = customAt(startOffset, level, prevWalls[level]);
+            // Standing on a custom height cell: its top starts right here
+            if (prevCustom[level]) {
+                entryHits[level] = addHit(0, level, prevWalls[level], false, 0);
+                setCustom(entryHits[level], prevCustom[level]);
+            }
+        }
+        if (sprites) addSpriteHits();
+        let prevSlope = this.slopeAt(cx, cy);
+        if (prevSlope) {
+            const rayHit = addHit(0, Math.floor(prevSlope / 10), 0, false, 0);
+            rayHit.slope = prevSlope;
+            rayHit.wallHeight = 0;
+        }
 
-            // Check sprites in current cell
-            if (spritesToLookFor) {
-                const spritesFound = Raycaster.findSpritesInCell(spritesToLookFor, currentTileX, currentTileY, tileSize);
-                for (const sprite of spritesFound) {
-                    if (!sprite.rayhit) {
-                        const distX = playerX - sprite.x;
-                        const distY = playerY - sprite.y;
-                        const spriteRayHit = RayHit.spriteRayHit(sprite, distX, distY, stripIdx, stripAngle);
-                        hits.push(spriteRayHit);
-                    }
-                }
+        // DDA stepping - continue until we exit the map, pass maxDistance or hit a wall
+        let rayEnd = maxDistance;
+        while (true) {
+            // Which boundary is closer?
+            const crossVertical = tMaxX < tMaxY;
+            const crossDist = crossVertical ? tMaxX : tMaxY;
+            if (crossDist > maxDistance) {
+                rayEnd = maxDistance;
+                break;
+            }
+            rayEnd = crossDist;
+
+            // Hit position at the boundary
+            const hitX = originX + dirX * crossDist;
+            const hitY = originY + dirY * crossDist;
+
+            // Step to next cell
+            if (crossVertical) {
+                cx += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                cy += stepY;
+                tMaxY += tDeltaY;
+            }
+
+            // Bounds check - exit when ray leaves the map
+            if (cx < 0 || cx >= gridWidth || cy < 0 || cy >= gridHeight) break;
+            if (sprites) addSpriteHits();
+
+            // Texture offset along the face, for entering (front) and leaving (back) the cell
+            let frontTexX, backTexX;
+            if (crossVertical) {
+                // Crossed a vertical boundary (east/west face)
+                const t = hitY - Math.floor(hitY / tileSize) * tileSize;
+                frontTexX = stepX < 0 ? tileSize - t : t;
+                backTexX = stepX > 0 ? tileSize - t : t;
+            } else {
+                // Crossed a horizontal boundary (north/south face)
+                const t = hitX - Math.floor(hitX / tileSize) * tileSize;
+                frontTexX = stepY > 0 ? tileSize - t : t;
+                backTexX = stepY < 0 ? tileSize - t : t;
             }
 
-            let verticalLineDistance = 0;
-            let verticalWallHit = null;
-
-            // ============================================
-            // VERTICAL LINE INTERSECTION
-            // ============================================
-            let vx = right
-                ? Math.floor(playerX / tileSize) * tileSize + tileSize
-                : Math.floor(playerX / tileSize) * tileSize - 1;
-
-            let vy = playerY + (playerX - vx) * Math.tan(rayAngle);
-
-            const stepx = right ? tileSize : -tileSize;
-            let stepy = tileSize * Math.tan(rayAngle);
-            if (right) stepy = -stepy;
-
-            while (vx >= 0 && vx < gridWidth * tileSize && vy >= 0 && vy < gridHeight * tileSize) {
-                const wallY = Math.floor(vy / tileSize);
-                const wallX = Math.floor(vx / tileSize);
-                const wallOffset = wallX + wallY * gridWidth;
-
-                // Check for sprites
-                if (spritesToLookFor) {
-                    const spritesFound = Raycaster.findSpritesInCell(spritesToLookFor, wallX, wallY, tileSize);
-                    for (const sprite of spritesFound) {
-                        if (!sprite.rayhit) {
-                            const distX = playerX - sprite.x;
-                            const distY = playerY - sprite.y;
-                            const blockDist = distX * distX + distY * distY;
-                            sprite.distance = Math.sqrt(blockDist);
-
-                            const spriteRayHit = new RayHit(vx, vy, rayAngle);
-                            spriteRayHit.strip = stripIdx;
-                            if (sprite.distance) {
-                                spriteRayHit.distance = sprite.distance;
-                                spriteRayHit.correctDistance = spriteRayHit.distance * Math.cos(stripAngle);
-                            }
-                            spriteRayHit.wallType = 0;
-                            spriteRayHit.sprite = sprite;
-                            spriteRayHit.level = sprite.level;
-                            sprite.rayhit = true;
-                            hits.push(spriteRayHit);
-                        }
+            // Check walls at all levels (0 = ground, 1 = upper)
+            const offset = cx + cy * gridWidth;
+            for (let level = 0; level < numLevels; level++) {
+                const wall = this.grids[level][offset];
+                const isDoor = Raycaster.isDoor(wall);
+                // Door cells are never solid: their panels are hit in castGeometry
+                const isSolid = wall > 0 && !isDoor;
+                const custom = customAt(offset, level, isSolid ? wall : 0);
+                // Solid cells with different heights are separate volumes
+                const newVolume = prevWalls[level] === 0 || custom !== prevCustom[level];
+
+                // Back face: exiting wall into empty space (or into a different volume)
+                if (prevWalls[level] > 0 && (!isSolid || newVolume)) {
+                    if (entryHits[level]) {
+                        entryHits[level].siblingDistance = crossDist;
+                        entryHits[level].siblingCorrectDistance = crossDist * cosView;
+                        entryHits[level] = null;
+                    }
+                    if (backFaces) {
+                        const rayHit = addHit(crossDist, level, prevWalls[level], !crossVertical, backTexX);
+                        rayHit.backFace = true;
+                        if (prevCustom[level]) setCustom(rayHit, prevCustom[level]);
                     }
                 }
 
-                // Check for wall hit
-                if (grid[wallOffset] > 0 && !Raycaster.isHorizontalDoor(grid[wallOffset])) {
-                    const distX = playerX - vx;
-                    const distY = playerY - vy;
-                    const blockDist = distX * distX + distY * distY;
-
-                    if (blockDist) {
-                        let texX = vy % tileSize;
-                        texX = right ? texX : tileSize - texX;
-
-                        const rayHit = new RayHit(vx, vy, rayAngle);
-                        rayHit.strip = stripIdx;
-                        rayHit.wallType = grid[wallOffset];
-                        rayHit.wallX = wallX;
-                        rayHit.wallY = wallY;
-                        rayHit.level = level;
-                        rayHit.up = up;
-                        rayHit.right = right;
-                        rayHit.distance = Math.sqrt(blockDist);
-                        rayHit.sortdistance = rayHit.distance;
-
-                        let canAdd = true;
-
-                        // Handle doors (offset by half tile)
-                        if (Raycaster.isVerticalDoor(grid[wallOffset])) {
-                            const newWallY = Math.floor((vy + stepy / 2) / tileSize);
-                            const newWallX = Math.floor((vx + stepx / 2) / tileSize);
-                            if (newWallY === wallY && newWallX === wallX) {
-                                const halfDistance = stepx / 2 * stepx / 2 + stepy / 2 * stepy / 2;
-                                rayHit.distance += Math.sqrt(halfDistance);
-                                texX = (vy + stepy / 2) % tileSize;
-                                rayHit.sortdistance -= 1;
-                            } else {
-                                canAdd = false;
-                            }
-                        }
-
-                        // Fisheye correction
-                        rayHit.correctDistance = rayHit.distance * Math.cos(stripAngle);
-                        rayHit.horizontal = false;
-                        rayHit.tileX = texX;
-
-                        const gaps = Raycaster.needsNextWall(grids, playerZ, tileSize, gridWidth, wallX, wallY, level);
-
-                        if (!gaps) {
-                            verticalWallHit = rayHit;
-                            verticalLineDistance = blockDist;
-                            break;
-                        }
-
-                        if (canAdd) {
-                            hits.push(rayHit);
-                        }
-                    }
+                // Front face: entering wall from empty space (or from another volume)
+                if (isSolid && newVolume) {
+                    const rayHit = addHit(crossDist, level, wall, !crossVertical, frontTexX);
+                    if (custom) setCustom(rayHit, custom);
+                    entryHits[level] = rayHit;
+                }
+
+                // Door cell entered (not drawn, the panel is): lets "use" find the door
+                if (isDoor) {
+                    const door = this.doors[offset];
+                    const rayHit = addHit(crossDist, level, wall, !crossVertical, frontTexX);
+                    rayHit.door = true;
+                    rayHit.doorOpen = !!door && !door.isClosed();
                 }
-                vx += stepx;
-                vy += stepy;
+
+                prevWalls[level] = isSolid ? wall : 0;
+                prevCustom[level] = custom;
             }
 
-            // ============================================
-            // HORIZONTAL LINE INTERSECTION
-            // ============================================
-            let horizontalLineDistance = 0;
-
-            let hy = up
-                ? Math.floor(playerY / tileSize) * tileSize - 1
-                : Math.floor(playerY / tileSize) * tileSize + tileSize;
-
-            let hx = playerX + (playerY - hy) / Math.tan(rayAngle);
-
-            const stepy2 = up ? -tileSize : tileSize;
-            let stepx2 = tileSize / Math.tan(rayAngle);
-            if (!up) stepx2 = -stepx2;
-
-            while (hx >= 0 && hx < gridWidth * tileSize && hy >= 0 && hy < gridHeight * tileSize) {
-                const wallY = Math.floor(hy / tileSize);
-                const wallX = Math.floor(hx / tileSize);
-                const wallOffset = wallX + wallY * gridWidth;
-
-                // Check for sprites
-                if (spritesToLookFor) {
-                    const spritesFound = Raycaster.findSpritesInCell(spritesToLookFor, wallX, wallY, tileSize);
-                    for (const sprite of spritesFound) {
-                        if (!sprite.rayhit) {
-                            const distX = playerX - sprite.x;
-                            const distY = playerY - sprite.y;
-                            const blockDist = distX * distX + distY * distY;
-                            sprite.distance = Math.sqrt(blockDist);
-
-                            const spriteRayHit = new RayHit(hx, hy, rayAngle);
-                            spriteRayHit.strip = stripIdx;
-                            if (sprite.distance) {
-                                spriteRayHit.distance = sprite.distance;
-                                spriteRayHit.correctDistance = spriteRayHit.distance * Math.cos(stripAngle);
-                            }
-                            spriteRayHit.wallType = 0;
-                            spriteRayHit.sprite = sprite;
-                            spriteRayHit.level = sprite.level;
-                            sprite.rayhit = true;
-                            hits.push(spriteRayHit);
-                        }
-                    }
+            // Slope cells: report where the ray leaves and enters ramps
+            const slope = this.slopeAt(cx, cy);
+            if (slope !== prevSlope) {
+                // Ramp height on the side we came from (ground outside a ramp)
+                const prevX = crossVertical ? cx - stepX : cx;
+                const prevY = crossVertical ? cy : cy - stepY;
+                const prevHeight = prevSlope ? this.slopeHeightAt(prevSlope, prevX, prevY, hitX, hitY) : 0;
+
+                if (prevSlope) {
+                    const rayHit = addHit(crossDist, Math.floor(prevSlope / 10), 0, !crossVertical, backTexX);
+                    rayHit.slope = prevSlope;
+                    rayHit.backFace = true;
+                }
+                if (slope) {
+                    const rayHit = addHit(crossDist, Math.floor(slope / 10), 0, !crossVertical, frontTexX);
+                    rayHit.slope = slope;
+                    // Side face: the part of the ramp standing above what is in front of it
+                    const height = this.slopeHeightAt(slope, cx, cy, hitX, hitY);
+                    rayHit.wallZ = prevHeight;
+                    rayHit.wallHeight = Math.max(0, height - prevHeight);
                 }
+                prevSlope = slope;
+            }
 
-                // Check for wall hit
-                if (grid[wallOffset] > 0 && !Raycaster.isVerticalDoor(grid[wallOffset])) {
-                    const distX = playerX - hx;
-                    const distY = playerY - hy;
-                    const blockDist = distX * distX + distY * distY;
+            // Stop at a solid full-height ground wall unless we can see over it
+            // Continue past all doors (open or closed) to find walls behind transparent parts,
+            // and past custom height cells (over crates, under platforms)
+            if (!backFaces && prevWalls[0] > 0 && !prevCustom[0]) break;
+        }
 
-                    // If vertical wall was closer, stop
-                    if (verticalLineDistance > 0 && verticalLineDistance < blockDist) {
-                        break;
-                    }
+        this.castGeometry(originX, originY, dirX, dirY, rayEnd, cosView, backFaces, addHit);
 
-                    if (blockDist) {
-                        let texX = hx % tileSize;
-                        texX = up ? texX : tileSize - texX;
-
-                        const rayHit = new RayHit(hx, hy, rayAngle);
-                        rayHit.strip = stripIdx;
-                        rayHit.wallType = grid[wallOffset];
-                        rayHit.wallX = wallX;
-                        rayHit.wallY = wallY;
-                        rayHit.level = level;
-                        rayHit.up = up;
-                        rayHit.right = right;
-                        rayHit.distance = Math.sqrt(blockDist);
-                        rayHit.sortdistance = rayHit.distance;
-
-                        let canAdd = true;
-
-                        // Handle doors
-                        if (Raycaster.isHorizontalDoor(grid[wallOffset])) {
-                            const newWallY = Math.floor((hy + stepy2 / 2) / tileSize);
-                            const newWallX = Math.floor((hx + stepx2 / 2) / tileSize);
-                            if (newWallY === wallY && newWallX === wallX) {
-                                const halfDistance = stepx2 / 2 * stepx2 / 2 + stepy2 / 2 * stepy2 / 2;
-                                rayHit.distance += Math.sqrt(halfDistance);
-                                texX = (hx + stepx2 / 2) % tileSize;
-                                rayHit.sortdistance -= 1;
-                            } else {
-                                canAdd = false;
-                            }
-                        }
-
-                        rayHit.correctDistance = rayHit.distance * Math.cos(stripAngle);
-                        rayHit.horizontal = true;
-                        rayHit.tileX = texX;
-                        horizontalLineDistance = blockDist;
-
-                        if (canAdd) {
-                            hits.push(rayHit);
-                        }
-
-                        const gaps = Raycaster.needsNextWall(grids, playerZ, tileSize, gridWidth, wallX, wallY, level);
-                        if (gaps && verticalLineDistance) {
-                            hits.push(verticalWallHit);
-                            verticalLineDistance = 0;
-                        } else if (!gaps) {
-                            break;
-                        }
-                    }
-                }
-                hx += stepx2;
-                hy += stepy2;
+        return hits;
+    }
+
+    /**
+     * Free-form wall hits along a ray, up to distance rayEnd (used by castRay).
+     * Convex thick walls are crossed at most twice: the nearer crossing enters,
+     * the other leaves (a back face). A ray starting inside one enters at distance 0.
+     */
+    castGeometry(originX, originY, dirX, dirY, rayEnd, cosView, backFaces, addHit) {
+        const tileSize = this.tileSize;
+        const endX = originX + dirX * rayEnd;
+        const endY = originY + dirY * rayEnd;
+
+        const crossings = [];
+        const cross = (thinWall, door) => {
+            const p = Shape.linesIntersect(originX, originY, endX, endY,
+                thinWall.x1, thinWall.y1, thinWall.x2, thinWall.y2);
+            if (!p) return;
+            crossings.push({ thinWall, door, x: p.x, y: p.y, distance: Math.hypot(p.x - originX, p.y - originY) });
+        };
+        for (const thinWall of this.thinWalls) cross(thinWall, null);
+        for (const door of this.doorList) {
+            if (door.thinWall) cross(door.thinWall, door);
+        }
+        if (crossings.length === 0) return;
+        crossings.sort((a, b) => a.distance - b.distance);
+
+        const addWallHit = (crossing, backFace) => {
+            const thinWall = crossing.thinWall;
+            const rayHit = addHit(crossing.distance, Math.floor(thinWall.z / tileSize), thinWall.wallType,
+                thinWall.horizontal, thinWall.distanceToOrigin(crossing.x, crossing.y) % tileSize);
+            rayHit.wallX = Math.floor(crossing.x / tileSize);
+            rayHit.wallY = Math.floor(crossing.y / tileSize);
+            rayHit.thinWall = thinWall;
+            rayHit.wallZ = thinWall.z;
+            rayHit.wallHeight = thinWall.height;
+            rayHit.backFace = backFace;
+            if (crossing.door) {
+                // A swinging panel can reach into the next cell: report the door's own cell
+                rayHit.door = true;
+                rayHit.wallX = crossing.door.cellX;
+                rayHit.wallY = crossing.door.cellY;
+            }
+            return rayHit;
+        };
+
+        const entries = new Map();  // thickWall -> entry hit
+        for (const crossing of crossings) {
+            const thickWall = crossing.thinWall.thickWall;
+            if (!thickWall) {
+                addWallHit(crossing, false);
+                continue;
             }
 
-            // Add vertical wall hit if no horizontal wall was closer
-            if (!horizontalLineDistance && verticalLineDistance && verticalWallHit) {
-                hits.push(verticalWallHit);
+            let entry = entries.get(thickWall);
+            if (entry === undefined) {
+                if (thickWall.containsPoint(originX, originY)) {
+                    // Standing inside (on top of) it: its top starts right here
+                    entry = addWallHit({ ...crossing, distance: 0 }, false);
+                } else {
+                    entries.set(thickWall, addWallHit(crossing, false));
+                    continue;
+                }
             }
+            // A second crossing at the same spot is the ray passing through a corner
+            if (entry === null || crossing.distance - entry.distance < 0.001) continue;
+
+            entry.siblingDistance = crossing.distance;
+            entry.siblingCorrectDistance = crossing.distance * cosView;
+            entries.set(thickWall, null);
+            if (backFaces) addWallHit(crossing, true);
         }
     }
+
+    /**
+     * Check whether nothing blocks the straight line between two points
+     * at eye height on the ground (walls and closed doors block, slopes do not;
+     * custom height walls only when they span eye height)
+     */
+    hasLineOfSight(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0) return true;
+
+        const hits = this.castRay(x1, y1, Math.atan2(-dy, dx), { maxDistance: dist });
+        const eyeZ = this.tileSize / 2;
+        return !hits.some(hit => hit.level === 0 && !hit.slope && !hit.backFace && !hit.doorOpen &&
+            hit.wallZ < eyeZ && hit.wallZ + hit.wallHeight > eyeZ);
+    }
 }
 
 /**
@@ -621,5 +913,16 @@ class Raycaster {
  */
 function sortRayHits(a, b) {
     // Sort by distance (furthest first for painter's algorithm)
-    return b.correctDistance - a.correctDistance;
+    if (a.correctDistance !== b.correctDistance) return b.correctDistance - a.correctDistance;
+    // Higher levels first at the same distance
+    return b.level - a.level;
+}
+
+// Allow headless use under Node, e.g. const { Raycaster } = require('./js/raycaster.js')
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof Shape === 'undefined') global.Shape = require('./shape.js');
+    module.exports = {
+        TWO_PI, SLOPE_TYPE_NONE, SLOPE_DIR_WEST_EAST, SLOPE_DIR_EAST_WEST, SLOPE_DIR_NORTH_SOUTH, SLOPE_DIR_SOUTH_NORTH,
+        ThinWall, ThickWall, Sprite, Door, RayHit, Raycaster, sortRayHits
+    };
 }
@@ -73,5 +73,31 @@ const Shape = {
     pointInQuad(pt, v1, v2, v3, v4) {
         return Shape.pointInTriangle(pt, v1, v2, v3) ||
                Shape.pointInTriangle(pt, v3, v4, v1);
+    },
+
+    /**
+     * Nearest point of a line segment to a point
+     * @returns {object} {x, y}
+     */
+    nearestPointOnSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        let t = lengthSq > 0 ? ((px - x1) * dx + (py - y1) * dy) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+        return { x: x1 + t * dx, y: y1 + t * dy };
+    },
+
+    /**
+     * Distance from a point to the nearest point of a line segment
+     */
+    distanceToSegment(px, py, x1, y1, x2, y2) {
+        const nearest = Shape.nearestPointOnSegment(px, py, x1, y1, x2, y2);
+        return Math.hypot(px - nearest.x, py - nearest.y);
     }
 };
+
+// Allow headless use under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shape;
+}
@@ -0,0 +1,194 @@
+/**
+ * Sound - Synthesized sound effects placed around the listener (Web Audio)
+ * Every sound is built from an oscillator or noise with a filter and a short envelope
+ * (SOUND_TYPES), so no audio files are needed. Sounds from a world position are panned
+ * and attenuated relative to the listener's facing, and muffled when the game reports
+ * a wall in the way.
+ *
+ * Browsers only allow audio after a user gesture, so the audio context is created by
+ * unlock(). Without Web Audio (or an audio device) the manager stays silent and every
+ * call does nothing, so the game runs headless, e.g. under Node.
+ */
+
+// Sound recipes: wave ('sine', 'square', 'sawtooth', 'triangle') or noise, pitch freq sliding
+// to endFreq, an optional filter ('lowpass', 'bandpass', 'highpass' at filterFreq with q),
+// duration in seconds, volume 0-1 and vibrato (Hz of pitch wobble)
+const SOUND_TYPES = {
+    stepStone: { noise: true, filter: 'bandpass', filterFreq: 1800, q: 1.5, duration: 0.08, volume: 0.25 },
+    stepGravel: { noise: true, filter: 'bandpass', filterFreq: 3200, q: 0.7, duration: 0.14, volume: 0.2 },
+    stepMetal: { wave: 'square', freq: 420, endFreq: 300, filter: 'bandpass', filterFreq: 900, q: 4, duration: 0.09, volume: 0.12 },
+    stepSoft: { noise: true, filter: 'lowpass', filterFreq: 500, duration: 0.12, volume: 0.25 },
+    land: { noise: true, filter: 'lowpass', filterFreq: 300, duration: 0.2, volume: 0.6 },
+    doorOpen: { wave: 'sawtooth', freq: 70, endFreq: 110, filter: 'lowpass', filterFreq: 400, duration: 0.9, volume: 0.2 },
+    doorClose: { wave: 'sawtooth', freq: 110, endFreq: 70, filter: 'lowpass', filterFreq: 400, duration: 0.8, volume: 0.2 },
+    doorSlam: { noise: true, filter: 'lowpass', filterFreq: 200, duration: 0.35, volume: 0.8 },
+    doorLocked: { wave: 'square', freq: 180, endFreq: 150, filter: 'bandpass', filterFreq: 700, q: 3, duration: 0.15, volume: 0.2 },
+    enemyAlert: { wave: 'sawtooth', freq: 160, endFreq: 90, filter: 'lowpass', filterFreq: 900, duration: 0.6, volume: 0.35, vibrato: 12 },
+    enemyHurt: { wave: 'square', freq: 300, endFreq: 120, filter: 'lowpass', filterFreq: 1200, duration: 0.25, volume: 0.3 },
+    enemyAttack: { noise: true, filter: 'bandpass', filterFreq: 900, q: 1, duration: 0.2, volume: 0.45 },
+};
+
+// Footstep sound for each g_floormap value (others use stepSoft)
+const FOOTSTEP_SOUNDS = { 5: 'stepStone', 6: 'stepGravel', 7: 'stepStone', 8: 'stepMetal' };
+
+// Cutoff of the filter on sounds heard through a wall, and how much quieter they get
+const MUFFLE_FREQUENCY = 500;
+const MUFFLE_GAIN = 0.5;
+
+/**
+ * Gain (0-1) and stereo pan (-1 left to 1 right) of a sound at world x, y for a listener
+ * at listener.x, listener.y facing listener.rot; silent from range away
+ */
+function soundPlacement(listener, x, y, range) {
+    const dx = x - listener.x;
+    const dy = y - listener.y;
+    const dist = Math.hypot(dx, dy);
+    const gain = Math.max(0, 1 - dist / range) ** 2;
+    // Counterclockwise from the facing (world y points down) is to the left
+    const pan = dist > 0 ? -Math.sin(Math.atan2(-dy, dx) - listener.rot) : 0;
+    return { gain, pan };
+}
+
+class SoundManager {
+    constructor(range) {
+        this.range = range;         // World units at which sounds fade out
+        this.context = null;
+        this.failed = false;        // No audio here; stay silent
+        this.listener = { x: 0, y: 0, rot: 0 };
+        this.noiseBuffer = null;
+    }
+
+    get enabled() {
+        return this.context !== null;
+    }
+
+    // Create (or resume) the audio context; call from a user gesture
+    unlock() {
+        if (this.failed) return;
+        if (this.context) {
+            if (this.context.state === 'suspended') this.context.resume();
+            return;
+        }
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) {
+            this.failed = true;
+            return;
+        }
+        try {
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+            // One second of white noise shared by the noise sounds
+            const rate = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, rate, rate);
+            const samples = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+        } catch (e) {
+            this.disable(e);
+        }
+    }
+
+    disable(error) {
+        console.warn(`Sound disabled: ${error.message}`);
+        this.context = null;
+        this.failed = true;
+    }
+
+    setListener(x, y, rot) {
+        this.listener.x = x;
+        this.listener.y = y;
+        this.listener.rot = rot;
+    }
+
+    /**
+     * Play a sound from SOUND_TYPES.
+     * options: { x, y } world position (centered on the listener without it),
+     * volume (0-1 on top of the sound's own), muffled (a wall is in the way)
+     */
+    play(name, options = {}) {
+        if (!this.context) return;
+        const type = SOUND_TYPES[name];
+        if (!type) throw new Error(`Unknown sound "${name}"`);
+
+        let gain = (type.volume ?? 1) * (options.volume ?? 1);
+        let pan = 0;
+        if (options.x !== undefined) {
+            const placement = soundPlacement(this.listener, options.x, options.y, this.range);
+            gain *= placement.gain;
+            pan = placement.pan;
+        }
+        if (options.muffled) gain *= MUFFLE_GAIN;
+        if (gain < 0.005) return;
+
+        try {
+            this.synthesize(type, gain, pan, options.muffled);
+        } catch (e) {
+            this.disable(e);
+        }
+    }
+
+    // Build and start the node chain: source -> filter -> envelope -> muffle -> panner -> master
+    synthesize(type, gain, pan, muffled) {
+        const ctx = this.context;
+        const now = ctx.currentTime;
+        const end = now + type.duration;
+
+        let source;
+        if (type.noise) {
+            source = ctx.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            source.loop = true;
+        } else {
+            source = ctx.createOscillator();
+            source.type = type.wave;
+            source.frequency.setValueAtTime(type.freq, now);
+            if (type.endFreq) source.frequency.exponentialRampToValueAtTime(type.endFreq, end);
+            if (type.vibrato) {
+                const wobble = ctx.createOscillator();
+                const depth = ctx.createGain();
+                wobble.frequency.value = type.vibrato;
+                depth.gain.value = type.freq * 0.1;
+                wobble.connect(depth).connect(source.frequency);
+                wobble.start(now);
+                wobble.stop(end);
+            }
+        }
+
+        let node = source;
+        if (type.filter) {
+            const filter = ctx.createBiquadFilter();
+            filter.type = type.filter;
+            filter.frequency.value = type.filterFreq;
+            if (type.q) filter.Q.value = type.q;
+            node = node.connect(filter);
+        }
+
+        // Quick attack, then an exponential fade over the duration
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0.0001, now);
+        envelope.gain.exponentialRampToValueAtTime(gain, now + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+        node = node.connect(envelope);
+
+        if (muffled) {
+            const muffle = ctx.createBiquadFilter();
+            muffle.type = 'lowpass';
+            muffle.frequency.value = MUFFLE_FREQUENCY;
+            node = node.connect(muffle);
+        }
+        if (ctx.createStereoPanner) {
+            const panner = ctx.createStereoPanner();
+            panner.pan.value = pan;
+            node = node.connect(panner);
+        }
+        node.connect(this.master);
+
+        source.start(now);
+        source.stop(end);
+    }
+}
+
+// Allow headless use under Node (see above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SOUND_TYPES, FOOTSTEP_SOUNDS, soundPlacement, SoundManager };
+}
@@ -0,0 +1,97 @@
+/**
+ * Survival - Hunger, thirst and warmth meters
+ * The meters run from SURVIVAL_MAX (fine) down to 0 and change with time and the
+ * surroundings the game passes in. tick() only does arithmetic on its arguments (no
+ * DOM, clock or randomness), so the balance can be checked headless, e.g.
+ *   const { SurvivalStats } = require('./js/survival.js');
+ *   const stats = new SurvivalStats();
+ *   for (let i = 0; i < 600; i++) stats.tick(1, { outdoors: true });
+ */
+
+const SURVIVAL_MAX = 100;
+
+// Meter change per second; sprinting multiplies the hunger and thirst drain
+const SURVIVAL_RATES = {
+    hunger: -0.15,
+    thirst: -0.2,
+    warmthOutdoors: -0.25,  // Under the open night sky (no ceiling)
+    warmthOutdoorsDay: 0,   // Under the open sky in full daylight
+    warmthIndoors: 0.2,
+    warmthFire: 4,          // Near a fire, indoors or out
+    sprintFactor: 2,
+};
+
+// Health lost per second for each empty meter
+const SURVIVAL_DAMAGE = 1;
+
+// Death screen text for the meter that ran out
+const SURVIVAL_CAUSES = {
+    hunger: 'Starved to death',
+    thirst: 'Died of thirst',
+    warmth: 'Froze to death',
+};
+
+// Campfire sprite (g_spritemap 9), drawn from 8x8 pixel art like the items (see ITEM_TYPES)
+const FIRE_SPRITE = {
+    sprite: 9,
+    palette: { y: '#fe4', o: '#f80', r: '#d20', b: '#631', g: '#777' },
+    pixels: ['...y....', '..yo.y..', '..oyoo..', '.oryyro.', '.orrrro.', '..bbbb..', '.bgbbgb.', 'gg.gg.gg']
+};
+
+class SurvivalStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.hunger = SURVIVAL_MAX;
+        this.thirst = SURVIVAL_MAX;
+        this.warmth = SURVIVAL_MAX;
+    }
+
+    /**
+     * Advance the meters by dt seconds.
+     * env: { outdoors, nearFire, sprinting } (all optional booleans) and daylight
+     * (0 = night, the default, to 1 = full day, see DayNightCycle)
+     * @returns {{damage: number, cause: string|null}} health to take off and why
+     */
+    tick(dt, env = {}) {
+        const exertion = env.sprinting ? SURVIVAL_RATES.sprintFactor : 1;
+        const daylight = env.daylight || 0;
+        const outdoorsRate = SURVIVAL_RATES.warmthOutdoors +
+            (SURVIVAL_RATES.warmthOutdoorsDay - SURVIVAL_RATES.warmthOutdoors) * daylight;
+        let warmthRate = env.outdoors ? outdoorsRate : SURVIVAL_RATES.warmthIndoors;
+        if (env.nearFire) warmthRate = SURVIVAL_RATES.warmthFire;
+
+        this.hunger = this.clamp(this.hunger + SURVIVAL_RATES.hunger * exertion * dt);
+        this.thirst = this.clamp(this.thirst + SURVIVAL_RATES.thirst * exertion * dt);
+        this.warmth = this.clamp(this.warmth + warmthRate * dt);
+
+        let damage = 0;
+        let cause = null;
+        for (const stat in SURVIVAL_CAUSES) {
+            if (this[stat] > 0) continue;
+            damage += SURVIVAL_DAMAGE * dt;
+            cause = cause || SURVIVAL_CAUSES[stat];
+        }
+        return { damage, cause };
+    }
+
+    // Whether any of the given restores ({hunger, thirst, warmth}) would raise a meter
+    wouldHelp(restores) {
+        return Object.keys(restores).some(stat => this[stat] < SURVIVAL_MAX);
+    }
+
+    consume(restores) {
+        for (const stat in restores) this[stat] = this.clamp(this[stat] + restores[stat]);
+    }
+
+    clamp(value) {
+        return Math.max(0, Math.min(SURVIVAL_MAX, value));
+    }
+}
+
+// Allow headless use under Node (see above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SURVIVAL_MAX, SURVIVAL_RATES, SURVIVAL_DAMAGE, SURVIVAL_CAUSES, FIRE_SPRITE, SurvivalStats };
+}
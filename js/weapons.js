@@ -0,0 +1,98 @@
+/**
+ * Weapons - The player's first-person weapons
+ * A Weapon holds the timing of one attack (cooldown and swing/recoil animation) and
+ * draws itself over the 3D view. What an attack hits is worked out by the game
+ * (Game.meleeAttack / Game.fireHitscan).
+ */
+
+// Ranges in tiles, cone and times in radians and seconds; ammo is the inventory item a shot uses
+const WEAPON_TYPES = {
+    sword: { name: 'Sword', attack: 'melee', damage: 20, range: 1.5, cone: Math.PI / 3, cooldown: 0.45 },
+    crossbow: { name: 'Crossbow', attack: 'hitscan', damage: 15, range: 16, cone: 0, cooldown: 0.8, ammo: 'bolts' },
+};
+
+class Weapon {
+    constructor(type) {
+        const def = WEAPON_TYPES[type];
+        if (!def) throw new Error(`Unknown weapon "${type}"`);
+        this.type = type;
+        Object.assign(this, def);
+        this.timer = 0;     // Seconds until the next attack
+    }
+
+    // Start an attack if the last one is over; false while still cooling down
+    trigger() {
+        if (this.timer > 0) return false;
+        this.timer = this.cooldown;
+        return true;
+    }
+
+    update(dt) {
+        if (this.timer > 0) this.timer = Math.max(0, this.timer - dt);
+    }
+
+    /**
+     * Draw the weapon in the lower right of the view, mid-attack while cooling down.
+     * bob is the walk cycle phase (radians).
+     */
+    draw(ctx, width, height, bob = 0) {
+        // 1 right after the attack, down to 0 when ready again
+        const attack = this.timer / this.cooldown;
+        const baseX = width * 0.68 + Math.cos(bob) * 8;
+        const baseY = height + Math.abs(Math.sin(bob)) * 8;
+
+        ctx.save();
+        if (this.attack === 'melee') {
+            // Blade sweeps from the right across the view and back
+            const swing = Math.sin(attack * Math.PI);
+            ctx.translate(baseX - swing * width * 0.25, baseY);
+            ctx.rotate(-0.5 - swing * 0.9);
+            ctx.fillStyle = '#ccd';
+            ctx.beginPath();
+            ctx.moveTo(-14, -60);
+            ctx.lineTo(0, -330);
+            ctx.lineTo(14, -60);
+            ctx.fill();
+            ctx.fillStyle = '#a82';
+            ctx.fillRect(-45, -70, 90, 16);
+            ctx.fillStyle = '#531';
+            ctx.fillRect(-10, -54, 20, 60);
+        } else {
+            // Crossbow kicks back when fired; a bolt sits on it when loaded
+            const recoil = attack * 30;
+            ctx.translate(width / 2 + Math.cos(bob) * 8, baseY + recoil);
+            ctx.fillStyle = '#642';
+            ctx.fillRect(-18, -200, 36, 200);
+            ctx.strokeStyle = '#321';
+            ctx.lineWidth = 10;
+            ctx.beginPath();
+            ctx.moveTo(-130, -150);
+            ctx.quadraticCurveTo(0, -230, 130, -150);
+            ctx.stroke();
+            ctx.strokeStyle = '#ddd';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(-130, -150);
+            ctx.lineTo(0, attack > 0 ? -190 : -120);
+            ctx.lineTo(130, -150);
+            ctx.stroke();
+            if (attack === 0) {
+                ctx.fillStyle = '#999';
+                ctx.fillRect(-3, -250, 6, 130);
+            }
+            ctx.restore();
+
+            // Crosshair
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(width / 2 - 8, height / 2);
+            ctx.lineTo(width / 2 + 8, height / 2);
+            ctx.moveTo(width / 2, height / 2 - 8);
+            ctx.lineTo(width / 2, height / 2 + 8);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
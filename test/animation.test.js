@@ -0,0 +1,45 @@
+/**
+ * SpriteSheet.fromImage: sheet layout checks and frame positions
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// animation.js shares the page's global scope: run it after raycaster.js (TWO_PI), as the page does
+const context = vm.createContext({});
+for (const file of ['shape.js', 'raycaster.js', 'animation.js']) {
+    const filename = path.join(__dirname, '..', 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+}
+const { SpriteSheet, SPRITE_VIEWS } = vm.runInContext('({ SpriteSheet, SPRITE_VIEWS })', context);
+
+// 4 frames across (walk, die), 4 animations x 5 views down
+const COLUMNS = 4;
+const ROWS = 20;
+
+test('a sheet in the expected layout gives its frame size and frame positions', () => {
+    const image = { width: COLUMNS * 32, height: ROWS * 32 };
+    const sheet = SpriteSheet.fromImage(image);
+    assert.strictEqual(sheet.image, image);
+    assert.strictEqual(sheet.frameSize, 32);
+    assert.deepStrictEqual({ ...sheet.frameAt('idle', 0, 0) }, { x: 0, y: 0 });
+    assert.deepStrictEqual({ ...sheet.frameAt('walk', 3, 2) }, { x: 96, y: (SPRITE_VIEWS + 2) * 32 });
+    assert.deepStrictEqual({ ...sheet.frameAt('die', 1, SPRITE_VIEWS - 1) }, { x: 32, y: (ROWS - 1) * 32 });
+});
+
+test('other non-square images throw, saying the layout expected', () => {
+    const bad = [
+        { width: 102, height: ROWS * 25 },             // Width not a whole number of frames
+        { width: COLUMNS * 32, height: ROWS * 32 - 1 },
+        { width: COLUMNS * 32, height: 32 },           // A single strip
+        { width: 2 * 32, height: ROWS * 32 },          // Too few columns: frames not square
+    ];
+    for (const image of bad) {
+        assert.throws(() => SpriteSheet.fromImage(image),
+            new RegExp(`${image.width}x${image.height}: expected 4 square frames across and 20 down`));
+    }
+});
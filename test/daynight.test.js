@@ -0,0 +1,41 @@
+/**
+ * DayNightCycle.lighting with a level's own fog
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LIGHTING_DAY, LIGHTING_NIGHT, DayNightCycle } = require('../js/daynight.js');
+
+const noon = new DayNightCycle(12);
+const midnight = new DayNightCycle(0);
+
+test('without a level fog the clock sets it', () => {
+    const lighting = noon.lighting();
+    assert.deepStrictEqual(lighting.ambient, LIGHTING_DAY.ambient);
+    assert.strictEqual(lighting.fogStart, LIGHTING_DAY.fogStart);
+    assert.strictEqual(lighting.fogEnd, LIGHTING_DAY.fogEnd);
+    assert.strictEqual(midnight.lighting().fogEnd, LIGHTING_NIGHT.fogEnd);
+});
+
+test('level fog settings replace the clock ones', () => {
+    const lighting = midnight.lighting({ start: 2, end: 5, density: 1 });
+    assert.deepStrictEqual([lighting.fogStart, lighting.fogEnd, lighting.fogDensity], [2, 5, 1]);
+    // The color is dimmed like a surface
+    assert.deepStrictEqual(noon.lighting({ color: [200, 100, 0] }).fog, [200, 100, 0]);
+});
+
+test('a lone level start or end still fades over the clock fade length', () => {
+    const nightFade = LIGHTING_NIGHT.fogEnd - LIGHTING_NIGHT.fogStart;
+    // Start past the night fog end: the end moves out
+    const far = midnight.lighting({ start: 30 });
+    assert.deepStrictEqual([far.fogStart, far.fogEnd], [30, 30 + nightFade]);
+    // A start short of the end is kept as it is
+    const near = midnight.lighting({ start: 3 });
+    assert.deepStrictEqual([near.fogStart, near.fogEnd], [3, LIGHTING_NIGHT.fogEnd]);
+
+    // End before the day fog start: the start moves in (not below 0)
+    const dayFade = LIGHTING_DAY.fogEnd - LIGHTING_DAY.fogStart;
+    const close = noon.lighting({ end: 3 });
+    assert.deepStrictEqual([close.fogStart, close.fogEnd], [Math.max(0, 3 - dayFade), 3]);
+});
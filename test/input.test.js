@@ -0,0 +1,82 @@
+/**
+ * InputMap default bindings and gamepad buttons
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { INPUT_ACTIONS, InputMap } = require('../js/input.js');
+
+// A connected pad with the given buttons held
+function pad(...held) {
+    return { connected: true, axes: [0, 0, 0, 0], buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: held.includes(i) })) };
+}
+
+test('every action is on the gamepad, and no default button is shared', () => {
+    const owner = {};
+    for (const action in INPUT_ACTIONS) {
+        const { buttons = [], axes = [] } = INPUT_ACTIONS[action];
+        assert.ok(buttons.length + axes.length > 0, `${action} has no button or stick`);
+        for (const button of buttons) {
+            assert.strictEqual(owner[button], undefined, `button ${button} is on ${owner[button]} and ${action}`);
+            owner[button] = action;
+        }
+    }
+});
+
+test('the d-pad moves forward and back', () => {
+    const input = new InputMap();
+    assert.deepStrictEqual(input.pollGamepad([pad(12)]), [12]);
+    assert.deepStrictEqual(input.actionsForButton(12), ['forward']);
+    assert.strictEqual(input.value('forward'), 1);
+    assert.strictEqual(input.value('back'), 0);
+
+    // Held buttons are not pressed again at the next poll
+    assert.deepStrictEqual(input.pollGamepad([pad(12, 13)]), [13]);
+    assert.deepStrictEqual(input.actionsForButton(13), ['back']);
+    assert.strictEqual(input.describe('back'), 'S / Down / D-pad down');
+});
+
+test('the map editor and the controls overlay have buttons', () => {
+    const input = new InputMap();
+    for (const action of ['editor', 'controls']) {
+        const [button] = input.bindings[action].buttons;
+        assert.ok(Number.isInteger(button), action);
+        assert.deepStrictEqual(input.pollGamepad([pad(button)]), [button]);
+        assert.deepStrictEqual(input.actionsForButton(button), [action]);
+        input.pollGamepad([pad()]);
+    }
+});
+
+test('bad saved entries are skipped without losing the good ones after them', () => {
+    const saved = {
+        bindings: {
+            jump: null,
+            use: 'KeyG',
+            constructor: { keys: ['KeyZ'] },
+            attack: { keys: ['KeyC', 5], buttons: [6, 'x'] },
+        },
+        settings: { deadzone: 0.3 },
+    };
+    const storage = { getItem: () => JSON.stringify(saved), setItem() {} };
+    const input = new InputMap(storage);
+    assert.deepStrictEqual(input.bindings.jump.keys, ['Space']);
+    assert.deepStrictEqual(input.bindings.use.keys, ['KeyF']);
+    assert.deepStrictEqual(input.bindings.attack, { keys: ['KeyC'], buttons: [6] });
+    assert.strictEqual(input.settings.deadzone, 0.3);
+    assert.strictEqual(input.actionsForKey('KeyZ').length, 0);
+});
+
+test('rebinding a key slot keeps the other key', () => {
+    const input = new InputMap();
+    input.bindKey('forward', 'KeyZ');
+    assert.deepStrictEqual(input.bindings.forward.keys, ['KeyZ', 'ArrowUp']);
+    input.bindKey('forward', 'Numpad8', 1);
+    assert.deepStrictEqual(input.bindings.forward.keys, ['KeyZ', 'Numpad8']);
+
+    // A one-key action gets its alternate added; the key leaves the action it was on
+    input.bindKey('jump', 'KeyS', 1);
+    assert.deepStrictEqual(input.bindings.jump.keys, ['Space', 'KeyS']);
+    assert.deepStrictEqual(input.bindings.back.keys, ['ArrowDown']);
+    assert.deepStrictEqual(input.actionsForKey('KeyS'), ['jump']);
+});
@@ -0,0 +1,117 @@
+/**
+ * Level.validate: bad level definitions fail with a LevelError that says where
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// level.js shares the page's global scope: run it after the scripts it uses, as the page does
+const context = vm.createContext({});
+for (const file of ['shape.js', 'raycaster.js', 'maps.js', 'inventory.js', 'survival.js', 'level.js']) {
+    const filename = path.join(__dirname, '..', 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+}
+const { Level, g_level_default } = vm.runInContext('({ Level, g_level_default })', context);
+
+// 4x3 room with a door in the middle of its south wall
+function room(extra = {}) {
+    return {
+        name: 'Test',
+        width: 4,
+        height: 3,
+        spawn: { x: 1.5, y: 1.5 },
+        layers: {
+            walls: [
+                [1, 1, 1, 1],
+                [1, 0, 0, 1],
+                [1, 1501, 1, 1],
+            ],
+        },
+        ...extra,
+    };
+}
+
+function assertLevelError(def, expected) {
+    assert.throws(() => Level.validate(def), error => {
+        assert.strictEqual(error.name, 'LevelError');
+        for (const key in expected) {
+            if (key === 'message') assert.match(error.message, expected.message);
+            else assert.strictEqual(error[key], expected[key], key);
+        }
+        return true;
+    });
+}
+
+test('the built-in level and the level files validate', () => {
+    Level.validate(g_level_default);
+    const dir = path.join(__dirname, '..', 'levels');
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        Level.validate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    }
+    Level.validate(room());
+});
+
+test('layer values are located by layer, row and column', () => {
+    const def = room();
+    def.layers.walls[1][2] = 99;
+    assertLevelError(def, { layer: 'walls', row: 1, col: 2, message: /unknown ID 99/ });
+});
+
+test('entries that are not objects name their list and index', () => {
+    for (const list of ['heights', 'geometry', 'doors', 'triggers', 'patrols', 'lights']) {
+        for (const entry of [null, 3, 'door', [1, 2]]) {
+            assertLevelError(room({ [list]: [entry] }), { layer: list, message: new RegExp(`${list}\\[0\\] must be an object`) });
+        }
+    }
+});
+
+test('cell entries are located by row and column', () => {
+    assertLevelError(room({ doors: [{ x: 2, y: 1 }] }), { layer: 'doors', row: 1, col: 2, message: /not a door cell/ });
+    assertLevelError(room({ triggers: [{ type: 'plate', x: 1, y: 1, targets: 5 }] }),
+        { layer: 'triggers', row: 1, col: 1, message: /needs targets/ });
+    assertLevelError(room({ triggers: [{ type: 'plate', x: 1, y: 1, targets: [[1.5, 2]] }] }),
+        { layer: 'triggers', message: /without a door/ });
+    Level.validate(room({ triggers: [{ type: 'plate', x: 1, y: 1, targets: [[1, 2]] }] }));
+});
+
+test('patrol waypoints must be whole cells inside the map', () => {
+    const patrol = waypoints => {
+        const def = room({ patrols: [{ x: 1, y: 1, waypoints }] });
+        def.layers.sprites = [[0, 0, 0, 0], [0, 2, 0, 0], [0, 0, 0, 0]];
+        return def;
+    };
+    assertLevelError(patrol([[2, 1], [2.5, 1]]), { layer: 'patrols', row: 1, col: 1, message: /not a cell \[x, y\]: \[2\.5,1\]/ });
+    assertLevelError(patrol([[2, '1']]), { layer: 'patrols', message: /not a cell/ });
+    assertLevelError(patrol([[2, 1, 0]]), { layer: 'patrols', message: /not a cell/ });
+    assertLevelError(patrol([[4, 1]]), { layer: 'patrols', message: /outside the map: \[4,1\]/ });
+    Level.validate(patrol([[2, 1], [1, 1]]));
+});
+
+test('geometry needs the fields of its type', () => {
+    const bad = [
+        [{ type: 'rect', y: 1, w: 1, h: 1, wallType: 1 }, /needs numbers x and y/],
+        [{ type: 'rect', x: 1, y: 1, w: '1', h: 1, wallType: 1 }, /needs w > 0 and h > 0/],
+        [{ type: 'rect', x: 1, y: 1, w: 1, h: 0, wallType: 1 }, /needs w > 0 and h > 0/],
+        [{ type: 'wall', points: [[1, 1]], wallType: 1 }, /needs at least 2 points/],
+        [{ type: 'wall', wallType: 1 }, /needs at least 2 points/],
+        [{ type: 'triangle', points: [[1, 1], [2, 1]], wallType: 1 }, /needs 3 points/],
+        [{ type: 'quad', points: [[1, 1], [2, 1], [2, 2], [1, 'x']], wallType: 1 }, /point 3 is not \[x, y\]/],
+        [{ type: 'wall', points: [[1, 1], null], wallType: 1 }, /point 1 is not \[x, y\]/],
+        [{ type: 'wall', points: [[1, 1], [2, 2]] }, /needs wallType 1-4/],
+        [{ type: 'wall', points: [[1, 1], [2, 2]], wallType: 9 }, /needs wallType 1-4/],
+        [{ type: 'rect', x: 1, y: 1, w: 1, h: 1, wallType: 1, height: -5 }, /needs height > 0/],
+        [{ type: 'constructor', wallType: 1 }, /unknown type "constructor"/],
+    ];
+    for (const [shape, message] of bad) {
+        assertLevelError(room({ geometry: [{ type: 'wall', points: [[1, 1], [2, 2]], wallType: 1 }, shape] }),
+            { layer: 'geometry', message });
+    }
+    Level.validate(room({ geometry: [
+        { type: 'rect', x: 1.25, y: 1.25, w: 0.5, h: 0.5, wallType: 3, height: 128 },
+        { type: 'triangle', points: [[1, 1], [2, 1], [1.5, 2]], wallType: 1, z: 0 },
+    ] }));
+});
@@ -0,0 +1,176 @@
+/**
+ * Raycaster.castRay on a fixed grid, headless
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    Raycaster, Door, Sprite, SLOPE_DIR_WEST_EAST, SLOPE_DIR_EAST_WEST, SLOPE_DIR_NORTH_SOUTH, SLOPE_DIR_SOUTH_NORTH,
+} = require('../js/raycaster.js');
+
+const TS = 64;
+const VERTICAL_DOOR = 1001;
+
+// 7x5 cells walled round the edge, with a pillar at (3, 2):
+//   1 1 1 1 1 1 1
+//   1 . . . . . 1
+//   1 @ . # . . 1
+//   1 . . . . . 1
+//   1 1 1 1 1 1 1
+// The ray origin @ is the centre of cell (1, 2)
+const ORIGIN_X = 1.5 * TS;
+const ORIGIN_Y = 2.5 * TS;
+
+function makeRaycaster() {
+    const raycaster = new Raycaster();
+    raycaster.createGrids(7, 5, 2, TS);
+    const grid = raycaster.grids[0];
+    for (let y = 0; y < 5; y++) {
+        for (let x = 0; x < 7; x++) {
+            if (x === 0 || y === 0 || x === 6 || y === 4) grid[x + y * 7] = 1;
+        }
+    }
+    grid[3 + 2 * 7] = 2;
+    return raycaster;
+}
+
+function nearest(hits) {
+    return hits.reduce((a, b) => (b.distance < a.distance ? b : a));
+}
+
+test('east ray stops at the pillar front face', () => {
+    const hits = makeRaycaster().castRay(ORIGIN_X, ORIGIN_Y, 0);
+    assert.strictEqual(hits.length, 1);
+    const hit = hits[0];
+    assert.strictEqual(hit.distance, 3 * TS - ORIGIN_X);
+    assert.strictEqual(hit.wallType, 2);
+    assert.deepStrictEqual([hit.wallX, hit.wallY], [3, 2]);
+    assert.strictEqual(hit.horizontal, false);   // West face of the pillar
+    assert.strictEqual(hit.tileX, TS / 2);
+    assert.strictEqual(hit.backFace, false);
+    assert.strictEqual(hit.x, 3 * TS);
+    assert.strictEqual(hit.y, ORIGIN_Y);
+});
+
+test('north and south rays hit the border on horizontal faces', () => {
+    const raycaster = makeRaycaster();
+    const north = nearest(raycaster.castRay(ORIGIN_X, ORIGIN_Y, Math.PI / 2));
+    assert.ok(Math.abs(north.distance - (ORIGIN_Y - TS)) < 1e-9);
+    assert.deepStrictEqual([north.wallX, north.wallY], [1, 0]);
+    assert.strictEqual(north.horizontal, true);
+
+    const south = nearest(raycaster.castRay(ORIGIN_X, ORIGIN_Y, -Math.PI / 2));
+    assert.ok(Math.abs(south.distance - (4 * TS - ORIGIN_Y)) < 1e-9);
+    assert.deepStrictEqual([south.wallX, south.wallY], [1, 4]);
+    assert.strictEqual(south.horizontal, true);
+});
+
+test('diagonal ray distance and fish-eye corrected distance', () => {
+    // Up and right at 60 degrees from the centre of (1, 2): meets the top border above (2, 0)
+    const angle = Math.PI / 3;
+    const hit = nearest(makeRaycaster().castRay(ORIGIN_X, ORIGIN_Y, angle, { viewAngle: 0 }));
+    const expected = (ORIGIN_Y - TS) / Math.sin(angle);
+    assert.ok(Math.abs(hit.distance - expected) < 1e-9);
+    assert.ok(Math.abs(hit.correctDistance - expected * Math.cos(angle)) < 1e-9);
+    assert.deepStrictEqual([hit.wallX, hit.wallY], [2, 0]);
+    assert.strictEqual(hit.horizontal, true);
+});
+
+test('back faces are reported only when asked for, and the ray goes on past them', () => {
+    const raycaster = makeRaycaster();
+    const hits = raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0, { backFaces: true });
+    const faces = hits.map(hit => [hit.distance, hit.backFace, hit.wallType]);
+    assert.deepStrictEqual(faces, [
+        [3 * TS - ORIGIN_X, false, 2],  // Into the pillar
+        [4 * TS - ORIGIN_X, true, 2],   // Out of it
+        [6 * TS - ORIGIN_X, false, 1],  // Into the east border
+    ]);
+    assert.ok(raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0).every(hit => !hit.backFace));
+});
+
+test('maxDistance stops the ray short of walls', () => {
+    const hits = makeRaycaster().castRay(ORIGIN_X, ORIGIN_Y, 0, { maxDistance: TS });
+    assert.strictEqual(hits.length, 0);
+});
+
+test('doors: the cell is reported, the panel is hit, and the ray goes on behind it', () => {
+    const raycaster = makeRaycaster();
+    const offset = 2 + 2 * 7;
+    raycaster.grids[0][offset] = VERTICAL_DOOR;
+    const door = new Door(2, 2, VERTICAL_DOOR, TS);
+    raycaster.setDoors({ [offset]: door });
+
+    const hits = raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0);
+    const cell = hits.find(hit => hit.door && !hit.thinWall);
+    const panel = hits.find(hit => hit.door && hit.thinWall);
+    const wall = hits.find(hit => !hit.door);
+
+    assert.strictEqual(cell.distance, 2 * TS - ORIGIN_X);
+    assert.strictEqual(cell.doorOpen, false);
+    // A vertical door's panel runs through the middle of its cell
+    assert.ok(Math.abs(panel.distance - (2.5 * TS - ORIGIN_X)) < 1e-9);
+    assert.deepStrictEqual([panel.wallX, panel.wallY], [2, 2]);
+    assert.strictEqual(panel.wallType, VERTICAL_DOOR);
+    assert.strictEqual(wall.distance, 3 * TS - ORIGIN_X);
+
+    // Fully open sliding doors have no panel left, and the cell reports them open
+    door.open();
+    door.update(door.duration);
+    const open = raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0);
+    assert.ok(!open.some(hit => hit.thinWall));
+    assert.strictEqual(open.find(hit => hit.door).doorOpen, true);
+});
+
+test('a closed door blocks line of sight, an open one does not', () => {
+    const raycaster = makeRaycaster();
+    const offset = 2 + 1 * 7;
+    raycaster.grids[0][offset] = VERTICAL_DOOR;
+    const door = new Door(2, 1, VERTICAL_DOOR, TS);
+    raycaster.setDoors({ [offset]: door });
+
+    assert.strictEqual(raycaster.hasLineOfSight(1.5 * TS, 1.5 * TS, 4.5 * TS, 1.5 * TS), false);
+    door.open();
+    door.update(door.duration);
+    assert.strictEqual(raycaster.hasLineOfSight(1.5 * TS, 1.5 * TS, 4.5 * TS, 1.5 * TS), true);
+});
+
+test('slope cells: entry with its side face, exit as a back face', () => {
+    const raycaster = makeRaycaster();
+    raycaster.slopes = new Array(7 * 5).fill(0);
+    // Rising east to west, so a ray going east meets its full-height west side
+    raycaster.slopes[2 + 2 * 7] = SLOPE_DIR_EAST_WEST;
+
+    const hits = raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0).filter(hit => hit.slope);
+    assert.deepStrictEqual(hits.map(hit => [hit.distance, hit.backFace, hit.wallZ, hit.wallHeight]), [
+        [2 * TS - ORIGIN_X, false, 0, TS],
+        [3 * TS - ORIGIN_X, true, 0, TS],
+    ]);
+
+    // Rising the other way: the ray meets the low end, no side face
+    raycaster.slopes[2 + 2 * 7] = SLOPE_DIR_WEST_EAST;
+    const entry = raycaster.castRay(ORIGIN_X, ORIGIN_Y, 0).find(hit => hit.slope && !hit.backFace);
+    assert.strictEqual(entry.wallHeight, 0);
+
+    // A ray starting on a ramp reports it at distance 0
+    const start = raycaster.castRay(2.5 * TS, ORIGIN_Y, Math.PI)[0];
+    assert.strictEqual(start.slope, SLOPE_DIR_WEST_EAST);
+    assert.strictEqual(start.distance, 0);
+});
+
+test('slopeHeightAt for each direction and level', () => {
+    const raycaster = makeRaycaster();
+    // A quarter of the way across cell (2, 2) in x, three quarters in y
+    const x = 2.25 * TS, y = 2.75 * TS;
+    assert.strictEqual(raycaster.slopeHeightAt(SLOPE_DIR_WEST_EAST, 2, 2, x, y), TS / 4);
+    assert.strictEqual(raycaster.slopeHeightAt(SLOPE_DIR_EAST_WEST, 2, 2, x, y), TS * 3 / 4);
+    assert.strictEqual(raycaster.slopeHeightAt(SLOPE_DIR_NORTH_SOUTH, 2, 2, x, y), TS * 3 / 4);
+    assert.strictEqual(raycaster.slopeHeightAt(SLOPE_DIR_SOUTH_NORTH, 2, 2, x, y), TS / 4);
+    // Tens digit: the level the ramp starts from
+    assert.strictEqual(raycaster.slopeHeightAt(10 + SLOPE_DIR_WEST_EAST, 2, 2, x, y), TS + TS / 4);
+});
+
+test('a new sprite has been where it is, so drawing does not blend it in from the origin', () => {
+    const s = new Sprite(2.5 * TS, 1.5 * TS);
+    assert.deepStrictEqual([s.prevX, s.prevY], [s.x, s.y]);
+});
@@ -0,0 +1,52 @@
+/**
+ * SoundManager without Web Audio: every call is safe and does nothing
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SOUND_TYPES, soundPlacement, SoundManager } = require('../js/sound.js');
+
+test('without window or AudioContext the manager stays silent', () => {
+    assert.strictEqual(typeof window, 'undefined');
+    const sound = new SoundManager(640);
+    sound.unlock();
+    assert.strictEqual(sound.enabled, false);
+    assert.strictEqual(sound.failed, true);
+    sound.unlock();
+
+    sound.setListener(100, 200, Math.PI / 2);
+    assert.deepStrictEqual(sound.listener, { x: 100, y: 200, rot: Math.PI / 2 });
+    for (const name in SOUND_TYPES) {
+        sound.play(name);
+        sound.play(name, { x: 120, y: 180, volume: 0.5, muffled: true });
+    }
+});
+
+test('an AudioContext that fails to start disables sound', t => {
+    global.window = {
+        AudioContext: class {
+            constructor() {
+                throw new Error('no audio device');
+            }
+        }
+    };
+    t.after(() => delete global.window);
+    t.mock.method(console, 'warn', () => {});
+
+    const sound = new SoundManager(640);
+    sound.unlock();
+    assert.strictEqual(sound.enabled, false);
+    assert.strictEqual(sound.failed, true);
+    assert.match(console.warn.mock.calls[0].arguments[0], /no audio device/);
+    sound.play('doorSlam', { x: 0, y: 0 });
+});
+
+test('soundPlacement fades with distance and pans to the side the sound is on', () => {
+    const listener = { x: 0, y: 0, rot: 0 };   // Facing +x; world y points down
+    assert.deepStrictEqual(soundPlacement(listener, 0, 0, 100), { gain: 1, pan: 0 });
+    assert.strictEqual(soundPlacement(listener, 50, 0, 100).gain, 0.25);
+    assert.strictEqual(soundPlacement(listener, 150, 0, 100).gain, 0);
+    assert.ok(Math.abs(soundPlacement(listener, 0, -50, 100).pan + 1) < 1e-9);   // Left
+    assert.ok(Math.abs(soundPlacement(listener, 0, 50, 100).pan - 1) < 1e-9);    // Right
+});
@@ -0,0 +1,96 @@
+/**
+ * SurvivalStats.tick: meter drain, warmth from the surroundings, damage at zero
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SURVIVAL_MAX, SURVIVAL_RATES, SURVIVAL_DAMAGE, SURVIVAL_CAUSES, SurvivalStats,
+} = require('../js/survival.js');
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// Meters set to the given values, the rest full
+function statsAt(values) {
+    return Object.assign(new SurvivalStats(), values);
+}
+
+test('hunger and thirst drain with time, twice as fast sprinting', () => {
+    const stats = statsAt({});
+    assert.deepStrictEqual(stats.tick(10), { damage: 0, cause: null });
+    near(stats.hunger, SURVIVAL_MAX + SURVIVAL_RATES.hunger * 10);
+    near(stats.thirst, SURVIVAL_MAX + SURVIVAL_RATES.thirst * 10);
+
+    const sprinting = statsAt({});
+    sprinting.tick(10, { sprinting: true });
+    near(sprinting.hunger, SURVIVAL_MAX + SURVIVAL_RATES.hunger * SURVIVAL_RATES.sprintFactor * 10);
+    near(sprinting.thirst, SURVIVAL_MAX + SURVIVAL_RATES.thirst * SURVIVAL_RATES.sprintFactor * 10);
+});
+
+test('warmth: lost outdoors at night, kept in daylight, regained indoors', () => {
+    const night = statsAt({ warmth: 50 });
+    night.tick(10, { outdoors: true });
+    near(night.warmth, 50 + SURVIVAL_RATES.warmthOutdoors * 10);
+
+    const day = statsAt({ warmth: 50 });
+    day.tick(10, { outdoors: true, daylight: 1 });
+    near(day.warmth, 50 + SURVIVAL_RATES.warmthOutdoorsDay * 10);
+
+    // Dusk is between the two
+    const dusk = statsAt({ warmth: 50 });
+    dusk.tick(10, { outdoors: true, daylight: 0.5 });
+    near(dusk.warmth, 50 + (SURVIVAL_RATES.warmthOutdoors + SURVIVAL_RATES.warmthOutdoorsDay) / 2 * 10);
+
+    // Daylight makes no difference indoors
+    const indoors = statsAt({ warmth: 50 });
+    indoors.tick(10, { daylight: 1 });
+    near(indoors.warmth, 50 + SURVIVAL_RATES.warmthIndoors * 10);
+});
+
+test('a fire warms the player outdoors at night too', () => {
+    const stats = statsAt({ warmth: 50 });
+    stats.tick(2, { outdoors: true, nearFire: true });
+    near(stats.warmth, 50 + SURVIVAL_RATES.warmthFire * 2);
+});
+
+test('meters stay between 0 and SURVIVAL_MAX', () => {
+    const stats = statsAt({ hunger: 0.01, thirst: 0.01, warmth: SURVIVAL_MAX - 1 });
+    stats.tick(60, { nearFire: true });
+    assert.strictEqual(stats.hunger, 0);
+    assert.strictEqual(stats.thirst, 0);
+    assert.strictEqual(stats.warmth, SURVIVAL_MAX);
+
+    stats.consume({ hunger: 500, thirst: -500 });
+    assert.strictEqual(stats.hunger, SURVIVAL_MAX);
+    assert.strictEqual(stats.thirst, 0);
+});
+
+test('each empty meter deals damage, with the first one as the cause', () => {
+    const full = statsAt({});
+    assert.deepStrictEqual(full.tick(1, { outdoors: true }), { damage: 0, cause: null });
+
+    const thirsty = statsAt({ thirst: 0 });
+    const one = thirsty.tick(2);
+    near(one.damage, SURVIVAL_DAMAGE * 2);
+    assert.strictEqual(one.cause, SURVIVAL_CAUSES.thirst);
+
+    const all = statsAt({ hunger: 0, thirst: 0, warmth: 0 });
+    const three = all.tick(2, { outdoors: true });
+    near(three.damage, SURVIVAL_DAMAGE * 2 * 3);
+    assert.strictEqual(three.cause, SURVIVAL_CAUSES.hunger);
+
+    // Warming up by a fire stops the cold damage at once
+    const cold = statsAt({ warmth: 0 });
+    assert.deepStrictEqual(cold.tick(1, { nearFire: true }), { damage: 0, cause: null });
+});
+
+test('wouldHelp only for meters below full', () => {
+    const stats = statsAt({ thirst: 40 });
+    assert.strictEqual(stats.wouldHelp({ hunger: 20 }), false);
+    assert.strictEqual(stats.wouldHelp({ hunger: 20, thirst: 10 }), true);
+    stats.reset();
+    assert.strictEqual(stats.wouldHelp({ thirst: 10 }), false);
+});
@@ -0,0 +1,105 @@
+/**
+ * Headless frame time of Game.draw() at 1024x768, against the 60 FPS budget (16.7 ms)
+ *   node tools/bench-draw.js [frames]
+ * The page scripts run together in one function scope (as they do in the browser) over a
+ * bare DOM: images and canvases have their real sizes but every pixel is the same opaque
+ * color, and putImageData and drawImage do nothing, so what is timed is the framebuffer
+ * passes (not the browser showing the finished frame).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const BUDGET = 1000 / 60;
+const FRAMES = Number(process.argv[2]) || 60;
+const WARMUP = 60;  // Frames drawn first: the JIT keeps recompiling the passes for a few dozen
+
+function context2d(canvas) {
+    const noop = () => {};
+    return {
+        canvas,
+        createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(new Uint32Array(w * h).fill(0xffa0a0a0).buffer) }),
+        createLinearGradient: () => ({ addColorStop: noop }),
+        putImageData: noop, drawImage: noop, fillRect: noop, strokeRect: noop, clearRect: noop,
+        beginPath: noop, moveTo: noop, lineTo: noop, arc: noop, stroke: noop, fill: noop,
+        save: noop, restore: noop, translate: noop, rotate: noop, scale: noop, setTransform: noop, fillText: noop,
+    };
+}
+
+function element() {
+    const el = {
+        style: {}, textContent: '', innerHTML: '', value: '', width: 256, height: 256,
+        addEventListener() {}, appendChild() {}, requestPointerLock() {}, click() {},
+        getContext: () => el.ctx || (el.ctx = context2d(el)),
+    };
+    return el;
+}
+
+const elements = {};
+const document = {
+    getElementById: id => elements[id] || (elements[id] = element()),
+    createElement: () => element(),
+    addEventListener() {},
+    exitPointerLock() {},
+    pointerLockElement: null,
+};
+// Images load at the size their file header gives (BMP or PNG); their pixels are never decoded
+class Image {
+    set src(url) {
+        const header = fs.readFileSync(path.join(ROOT, url)).subarray(0, 26);
+        const png = header.toString('latin1', 1, 4) === 'PNG';
+        this.width = png ? header.readUInt32BE(16) : header.readInt32LE(18);
+        this.height = png ? header.readUInt32BE(20) : Math.abs(header.readInt32LE(22));
+        setTimeout(() => this.onload());
+    }
+}
+const window = { location: { search: '' }, addEventListener() {} };
+
+// Every page script but main.js, in page order, as one scope that hands back the Game class
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => match[1])
+    .filter(src => src !== 'js/main.js')
+    .map(src => fs.readFileSync(path.join(ROOT, src), 'utf8'));
+const Game = new Function('document', 'window', 'Image', 'module', `${scripts.join('\n')}\nreturn Game;`)(
+    document, window, Image, undefined);
+
+// Where the camera stands for each measurement (relative to the level spawn)
+const VIEWS = {
+    spawn: () => {},
+    diagonal: player => { player.rot += Math.PI / 4; },
+    jumping: player => { player.z = 80; },
+};
+
+(async () => {
+    // Quiet the loading messages
+    const log = console.log;
+    console.log = () => {};
+    const game = new Game();
+    await game.init();
+    console.log = log;
+
+    const spawn = { x: game.player.x, y: game.player.y, rot: game.player.rot };
+    let pass = true;
+    for (const name in VIEWS) {
+        Object.assign(game.player, spawn, { z: 0 });
+        VIEWS[name](game.player);
+        for (let i = 0; i < WARMUP; i++) game.draw();
+
+        const times = [];
+        for (let i = 0; i < FRAMES; i++) {
+            const start = performance.now();
+            game.draw();
+            times.push(performance.now() - start);
+        }
+        times.sort((a, b) => a - b);
+        const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+        const p95 = times[Math.floor(times.length * 0.95)];
+        pass = pass && mean <= BUDGET;
+        console.log(`${name.padEnd(9)} mean ${mean.toFixed(1)} ms  p95 ${p95.toFixed(1)} ms  ${mean <= BUDGET ? 'ok' : 'over budget'}`);
+    }
+    console.log(`Budget ${BUDGET.toFixed(1)} ms per frame: ${pass ? 'met' : 'NOT met'}`);
+    process.exitCode = pass ? 0 : 1;
+})();